@@ -1,59 +1,66 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import * as Tone from 'tone';
-
-// Musical note frequencies (A4 = 440Hz, equal temperament)
-// Generate all notes from C0 to B8
-const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-const MUSICAL_NOTES = [];
-
-// A4 (440Hz) is the 49th key on piano, which is index 57 in our array (C0 = index 0)
-// A4 is 9 semitones above C4, and C4 is at octave 4, so A4 = 4*12 + 9 = 57
-const A4_INDEX = 57;
-const A4_FREQ = 440;
-
-for (let octave = 0; octave <= 8; octave++) {
-  for (let noteIdx = 0; noteIdx < 12; noteIdx++) {
-    const index = octave * 12 + noteIdx;
-    const semitonesFromA4 = index - A4_INDEX;
-    const frequency = A4_FREQ * Math.pow(2, semitonesFromA4 / 12);
-    MUSICAL_NOTES.push({
-      name: `${NOTE_NAMES[noteIdx]}${octave}`,
-      freq: frequency,
-    });
-  }
-}
-
-// Find the nearest musical note for a given frequency
-const getNearestNote = (freq) => {
-  let nearestNote = MUSICAL_NOTES[0];
-  let minDiff = Math.abs(freq - nearestNote.freq);
-
-  for (const note of MUSICAL_NOTES) {
-    const diff = Math.abs(freq - note.freq);
-    if (diff < minDiff) {
-      minDiff = diff;
-      nearestNote = note;
-    }
-  }
-
-  // Calculate cents difference (100 cents = 1 semitone)
-  const cents = 1200 * Math.log2(freq / nearestNote.freq);
-  return { ...nearestNote, cents: Math.round(cents) };
-};
-
-// Snap frequency to nearest note if within threshold
-const snapToNote = (freq, threshold = 5) => {
-  const nearest = getNearestNote(freq);
-  // Snap if within threshold Hz of a note
-  if (Math.abs(freq - nearest.freq) < threshold) {
-    return Math.round(nearest.freq * 1000) / 1000; // Round to 3 decimal places
-  }
-  return Math.round(freq * 1000) / 1000; // Round to 3 decimal places
+import { volumeLfoDepth, createModulator, createFaderCurve } from './modulation.js';
+import { createPitchSource, createChannelPitch } from './pitch.js';
+import { LFO_SHAPES } from './lfoShapes.js';
+import { renderPatch, renderChannelStem, renderClickStem, SAMPLE_RATES } from './offlineRender.js';
+import { encodeWav, wavFileSize, BIT_DEPTHS } from './wav.js';
+import { createZip, MAX_ZIP_SIZE, ZIP_OVERHEAD_PER_FILE, ZIP_END_SIZE } from './zip.js';
+import { downloadBlob } from './download.js';
+import { METRONOME_SYNTH_OPTIONS, triggerClick } from './metronome.js';
+import { DEFAULT_PATCH, MAX_CHANNELS, NEW_CHANNEL, PATCH_LIMITS, createPatch, getPitchTerms, getBeatOffsets, getFrequencyLimits } from './patch.js';
+import { AUTOMATION_CURVES, GLOBAL_LANES, laneValueAt, scheduleLane, insertPoint, formatTimelineTime } from './automation.js';
+import { WAVEFORMS, MAX_PARTIALS, PARTIAL_SHAPES, applyWaveform } from './waveforms.js';
+import { BEAT_MODES, BRAINWAVE_BANDS, findBand, parseBeat, formatBeat, matchTempo } from './brainwaves.js';
+import { NOTE_DIVISIONS, LFO_SYNC_DIVISIONS, findDivision, findLfoSyncDivision, nearestLfoSyncDivision, formatRatio, getRatioLabel, parseRatio } from './noteDivisions.js';
+import { FACTORY_PRESETS, loadUserPresets, saveUserPresets, createPresetId } from './presets.js';
+import { buildShareUrl, readPatchFromUrl } from './patchUrl.js';
+import { serializePatchFile, parsePatchFile } from './patchFile.js';
+import { evaluateExpression } from './expression.js';
+import { detectPitch } from './pitchDetection.js';
+import { detectTempo } from './tempoDetection.js';
+import { UNITY_POSITION, FADER_SCALE_MARKS, dbToFader, faderToGain, formatFaderDb } from './faderLaw.js';
+import { LIMITER_THRESHOLD_DB, createMasterLimiter, predictPeak } from './limiter.js';
+import { SPECTROGRAM_WINDOWS, spectrogramFftSeconds, createSpectrogram } from './spectrogram.js';
+import { SPECTRUM_SPANS, FULL_FFT_SIZE, findSpectrumSpan, readFullSpectrum, createZoomAnalyser, getSpectrumRange, needsRecentring, drawSpectrum } from './spectrum.js';
+import { METER_SCALE_MARKS, METER_CAP_HEIGHT, gainToDb, dbToMeterPosition, createMeterState, updateMeter, resetClip, drawMeter } from './meters.js';
+import {
+  NOTE_NAMES,
+  REFERENCE_PITCHES,
+  REFERENCE_LIMITS,
+  TEMPERAMENTS,
+  SNAP_SCALES,
+  SNAP_TOLERANCE_LIMITS,
+  findTemperament,
+  buildNoteTable,
+  parseScala,
+  filterNotesToScale,
+  resolveNoteName,
+  getNearestNote,
+  snapToNote,
+  loadTuning,
+  saveTuning,
+} from './tuning.js';
+
+// Stereo output modes
+// Monaural: every channel is centred, so the beating happens in the air (both ears hear the sum)
+// Binaural: the root goes to the left ear and every offset channel to the right ear
+// Mixed: each channel is placed with its own Pan knob (and optional pan LFO)
+const STEREO_MODES = [
+  { id: 'monaural', label: 'Monaural', title: 'All channels in both ears (acoustic beating)' },
+  { id: 'binaural', label: 'Binaural', title: 'Root in the left ear, offsets in the right ear' },
+  { id: 'mixed', label: 'Mixed', title: 'Place each channel with its Pan knob (turning one switches to this mode)' },
+];
+
+const formatPan = (pan) => {
+  if (Math.abs(pan) < 0.005) return 'C';
+  return `${pan < 0 ? 'L' : 'R'}${Math.round(Math.abs(pan) * 100)}`;
 };
 
 // Custom rotary knob component for LFO controls
 // When commitOnRelease is true, onChange is only called when the user releases the knob
-function Knob({ value, onChange, min, max, label, formatValue, size = 36, exponential = false, commitOnRelease = false }) {
+// When disabled is true, the knob is dimmed and ignores input
+function Knob({ value, onChange, min, max, label, formatValue, size = 36, exponential = false, commitOnRelease = false, disabled = false, title }) {
   const knobRef = useRef(null);
   const isDraggingRef = useRef(false);
   const startYRef = useRef(0);
@@ -84,6 +91,7 @@ function Knob({ value, onChange, min, max, label, formatValue, size = 36, expone
 
   const handleMouseDown = (e) => {
     e.preventDefault();
+    if (disabled) return;
     isDraggingRef.current = true;
     startYRef.current = e.clientY;
     startPositionRef.current = valueToPosition(value);
@@ -139,6 +147,7 @@ function Knob({ value, onChange, min, max, label, formatValue, size = 36, expone
       flexDirection: 'column',
       alignItems: 'center',
       gap: '2px',
+      opacity: disabled ? 0.35 : 1,
     },
     label: {
       fontSize: '0.5rem',
@@ -155,7 +164,7 @@ function Knob({ value, onChange, min, max, label, formatValue, size = 36, expone
       display: 'flex',
       alignItems: 'center',
       justifyContent: 'center',
-      cursor: 'pointer',
+      cursor: disabled ? 'not-allowed' : 'pointer',
       userSelect: 'none',
     },
     knobInner: {
@@ -187,7 +196,7 @@ function Knob({ value, onChange, min, max, label, formatValue, size = 36, expone
   };
 
   return (
-    <div style={knobStyles.container}>
+    <div style={knobStyles.container} title={title}>
       <div style={knobStyles.label}>{label}</div>
       <div
         ref={knobRef}
@@ -203,6 +212,49 @@ function Knob({ value, onChange, min, max, label, formatValue, size = 36, expone
   );
 }
 
+// Peak/RMS meter with its dBFS scale, one bar per audio channel
+// The canvas is drawn by the mixer's meter loop rather than by React; clicking it clears the clip light
+function LevelMeter({ canvasRef, channelCount, onResetClip }) {
+  return (
+    <div style={{ display: 'flex', gap: '2px', height: '200px' }}>
+      <div style={{ position: 'relative', width: '14px', fontSize: '0.5rem', color: '#6b7280', lineHeight: '1' }}>
+        {METER_SCALE_MARKS.map((db) => (
+          <span
+            key={db}
+            style={{ position: 'absolute', right: 0, bottom: `calc(${dbToMeterPosition(db)} * (100% - ${METER_CAP_HEIGHT}px))`, transform: 'translateY(50%)' }}
+          >
+            {db}
+          </span>
+        ))}
+      </div>
+      <canvas
+        ref={canvasRef}
+        width={channelCount * 5 - 1}
+        height={200}
+        onClick={onResetClip}
+        style={{ cursor: 'pointer' }}
+        title="Level in dBFS: RMS (solid), peak (faint) and held peak (line). Click to clear the clip light"
+      />
+    </div>
+  );
+}
+
+// dB marks beside a volume fader, placed by the fader law so they line up with the thumb
+function FaderScale() {
+  return (
+    <div style={{ position: 'relative', width: '16px', height: '200px', fontSize: '0.5rem', color: '#6b7280', lineHeight: '1' }}>
+      {FADER_SCALE_MARKS.map((db) => (
+        <span
+          key={db}
+          style={{ position: 'absolute', left: 0, bottom: `${dbToFader(db) * 100}%`, transform: 'translateY(50%)', color: db === 0 ? '#d1d5db' : undefined }}
+        >
+          {db > 0 ? `+${db}` : db}
+        </span>
+      ))}
+    </div>
+  );
+}
+
 // Custom vertical slider component with optional animated display value
 function VerticalSlider({ value, displayValue, onChange, onDoubleClick, min = 0, max = 1, step = 0.01 }) {
   const sliderRef = useRef(null);
@@ -327,195 +379,1225 @@ function VerticalSlider({ value, displayValue, onChange, onDoubleClick, min = 0,
   );
 }
 
-export default function TonePhase() {
-  const [bpm, setBpm] = useState(127);
-  const [rootFreq, setRootFreq] = useState(440);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [audioReady, setAudioReady] = useState(false); // Track if Tone.js is initialized
-  const [resetFlash, setResetFlash] = useState(false); // For visual feedback on reset
-  const [masterVolume, setMasterVolume] = useState(0.3);
-  const [masterMuted, setMasterMuted] = useState(false);
-  const [volumes, setVolumes] = useState([0.5, 0, 0, 0.5, 0, 0, 0, 0]);
-  const [muted, setMuted] = useState([false, false, false, false, false, false, false, false]);
-
-  // LFO state for each channel
-  const [lfoRates, setLfoRates] = useState([0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5]); // Hz
-  const [lfoAmounts, setLfoAmounts] = useState([0, 0, 0, 0, 0, 0, 0, 0]); // 0-1 (percentage)
-  const [modulatedVolumes, setModulatedVolumes] = useState([0.5, 0, 0, 0.5, 0, 0, 0, 0]);
-
-  const timeScale = 3.0; // Hard-coded time scale value
-  const lfoAnimationRef = useRef(null);
-  const lfoStartTimeRef = useRef(Date.now());
+// Stable identities for mixer channels, so adding or removing one leaves the others' audio nodes alone
+let nextChannelId = 0;
+const createChannelIds = (count) => Array.from({ length: count }, () => nextChannelId++);
+
+// Text field for a channel's beat ratio; commits on Enter or blur and flags input it can't read
+// Render it with key={value} so changes made elsewhere (division menu, presets) reset the text
+// limits: the allowed range, narrower than PATCH_LIMITS.ratios when a low root leaves little room below it
+function RatioField({ value, limits, onCommit, style }) {
+  const [text, setText] = useState(formatRatio(value));
+  const [isInvalid, setIsInvalid] = useState(false);
+
+  const commit = () => {
+    const parsed = parseRatio(text);
+    if (parsed === null || parsed < limits.min || parsed > limits.max) {
+      setIsInvalid(true);
+      return;
+    }
+    setIsInvalid(false);
+    onCommit(parsed);
+  };
 
-  // Metronome state
-  const [isMetronomeOn, setIsMetronomeOn] = useState(false);
-  const metronomeRef = useRef(null);
-  const metronomeSynthRef = useRef(null);
-  const beatCountRef = useRef(0);
+  return (
+    <input
+      type="text"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === 'Enter') commit(); }}
+      style={{ ...style, borderColor: isInvalid ? '#dc2626' : style.borderColor }}
+      title={isInvalid ? `Enter a number or fraction between ${limits.min} and ${limits.max}, e.g. 2, 0.75, 2/3 or -1/4` : 'Beats per quarter note, e.g. 2, 0.75, 2/3 or -1/4'}
+    />
+  );
+}
 
-  const oscillatorsRef = useRef([]);
-  const gainsRef = useRef([]);
-  const masterGainRef = useRef(null);
-  const analyserRef = useRef(null);
-  const canvasRef = useRef(null);
-  const animationRef = useRef(null);
-  const scrollOffsetRef = useRef(0);
-  const tapTimesRef = useRef([]); // For tap tempo
+// Text field for a channel's beat in brainwave mode, as a frequency or a period depending on the unit
+// Like RatioField, render it with a key on the value (and unit) so outside changes reset the text
+function BeatField({ value, unit, limits, onCommit, style }) {
+  const [text, setText] = useState(formatBeat(value, unit));
+  const [isInvalid, setIsInvalid] = useState(false);
+
+  const commit = () => {
+    const parsed = parseBeat(text, unit);
+    if (parsed === null || parsed < limits.min || parsed > limits.max) {
+      setIsInvalid(true);
+      return;
+    }
+    setIsInvalid(false);
+    onCommit(parsed);
+  };
 
-  const beatRatios = [0, 0.25, 0.5, 1, 2, 4, 8, 16];
+  const hint = unit === 'ms' ? 'Beat period in ms, e.g. 100 or 250; add "Hz" to type a frequency' : 'Beat frequency in Hz, e.g. 6 or 10.5; add "ms" to type a period';
+  return (
+    <input
+      type="text"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === 'Enter') commit(); }}
+      style={{ ...style, borderColor: isInvalid ? '#dc2626' : style.borderColor }}
+      title={isInvalid ? `Enter a beat from ${limits.min} to ${limits.max} Hz (negative sits below the root). ${hint}` : hint}
+    />
+  );
+}
 
-  const calculateFrequencies = () => {
-    const beatHz = bpm / 60;
-    return beatRatios.map((ratio, idx) => {
-      if (idx === 0) return rootFreq;
-      return rootFreq + (beatHz * ratio);
-    });
+// Text field that takes an expression (see expression.js) and commits on Enter or blur
+// Shows the current value until focused; input it can't evaluate stays in the field with the reason below it (Escape reverts)
+// Children are overlaid on the input, e.g. the root's note readout
+function ExpressionField({ value, format, evaluate, onCommit, style, containerStyle, title, children }) {
+  const [text, setText] = useState(null); // null when not editing
+  const [error, setError] = useState(null);
+
+  const commit = () => {
+    if (text === null) return;
+    if (text.trim() === format(value)) {
+      setText(null);
+      setError(null);
+      return;
+    }
+    try {
+      onCommit(evaluate(text));
+      setText(null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
   };
 
-  const frequencies = calculateFrequencies();
+  return (
+    <div style={containerStyle}>
+      <div style={{ position: 'relative' }}>
+        <input
+          type="text"
+          spellCheck={false}
+          value={text ?? format(value)}
+          onFocus={() => { if (text === null) setText(format(value)); }}
+          onChange={(e) => setText(e.target.value)}
+          onBlur={commit}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commit();
+            if (e.key === 'Escape') {
+              setText(null);
+              setError(null);
+              e.currentTarget.blur();
+            }
+          }}
+          style={{ ...style, borderColor: error ? '#dc2626' : style.borderColor }}
+          title={title}
+        />
+        {children}
+      </div>
+      {error && <div style={{ fontSize: '0.75rem', color: '#f87171', marginTop: '0.25rem', textAlign: 'left' }}>{error}</div>}
+    </div>
+  );
+}
+
+// Bar editor for the harmonic levels of a custom waveform; click or drag across the bars to draw
+function PartialsEditor({ partials, onChange }) {
+  const barsRef = useRef(null);
+  const isDraggingRef = useRef(false);
+  const partialsRef = useRef(partials);
+  const onChangeRef = useRef(onChange);
 
   useEffect(() => {
-    // Create analyzer
-    analyserRef.current = new Tone.Analyser('waveform', 2048);
+    partialsRef.current = partials;
+    onChangeRef.current = onChange;
+  }, [partials, onChange]);
+
+  const drawAt = (e) => {
+    if (!barsRef.current) return;
+    const rect = barsRef.current.getBoundingClientRect();
+    const current = partialsRef.current;
+    const barIdx = Math.floor(((e.clientX - rect.left) / rect.width) * current.length);
+    if (barIdx < 0 || barIdx >= current.length) return;
+
+    const level = Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height));
+    const newPartials = [...current];
+    newPartials[barIdx] = Math.round(level * 100) / 100;
+    partialsRef.current = newPartials;
+    onChangeRef.current(newPartials);
+  };
 
-    // Create master gain and connect to analyzer, then to destination
-    masterGainRef.current = new Tone.Gain(masterVolume);
-    masterGainRef.current.connect(analyserRef.current);
-    masterGainRef.current.toDestination();
+  const handleMouseDown = (e) => {
+    e.preventDefault();
+    isDraggingRef.current = true;
+    drawAt(e);
+  };
 
-    frequencies.forEach((freq, idx) => {
-      const osc = new Tone.Oscillator(freq, 'sine').start();
-      const gain = new Tone.Gain(0).connect(masterGainRef.current);
-      osc.connect(gain);
+  useEffect(() => {
+    const handleMouseMove = (e) => {
+      if (isDraggingRef.current) drawAt(e);
+    };
+    const handleMouseUp = () => {
+      isDraggingRef.current = false;
+    };
 
-      oscillatorsRef.current[idx] = osc;
-      gainsRef.current[idx] = gain;
-    });
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
 
     return () => {
-      oscillatorsRef.current.forEach(osc => osc.dispose());
-      gainsRef.current.forEach(gain => gain.dispose());
-      if (masterGainRef.current) masterGainRef.current.dispose();
-      if (analyserRef.current) analyserRef.current.dispose();
-      if (animationRef.current) cancelAnimationFrame(animationRef.current);
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
     };
   }, []);
 
-  useEffect(() => {
-    frequencies.forEach((freq, idx) => {
-      if (oscillatorsRef.current[idx]) {
-        oscillatorsRef.current[idx].frequency.rampTo(freq, 0.1);
-      }
-    });
-  }, [bpm, rootFreq]);
+  const setHarmonicCount = (count) => {
+    const clamped = Math.max(1, Math.min(MAX_PARTIALS, count));
+    onChange(Array.from({ length: clamped }, (_, idx) => partials[idx] ?? 0));
+  };
 
+  const editorStyles = {
+    bars: {
+      display: 'flex',
+      alignItems: 'flex-end',
+      gap: '3px',
+      height: '100px',
+      padding: '4px',
+      background: '#1a1a1a',
+      border: '1px solid #404040',
+      borderRadius: '0.375rem',
+      cursor: 'crosshair',
+      userSelect: 'none',
+    },
+    bar: {
+      flex: 1,
+      background: 'linear-gradient(to top, #0891b2, #22d3ee)',
+      borderRadius: '2px 2px 0 0',
+      pointerEvents: 'none',
+    },
+    numbers: {
+      display: 'flex',
+      gap: '3px',
+      padding: '0 4px',
+      fontSize: '0.55rem',
+      color: '#6b7280',
+    },
+    toolbar: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      gap: '0.4rem',
+      marginTop: '0.5rem',
+      fontSize: '0.75rem',
+      color: '#9ca3af',
+    },
+    button: {
+      padding: '0.2rem 0.6rem',
+      borderRadius: '0.25rem',
+      border: 'none',
+      cursor: 'pointer',
+      fontSize: '0.75rem',
+      color: 'white',
+      background: 'linear-gradient(to right, #525252, #404040)',
+    },
+  };
 
-  useEffect(() => {
-    if (masterGainRef.current) {
-      const actualVolume = masterMuted ? 0 : masterVolume;
-      masterGainRef.current.gain.rampTo(actualVolume, 0.05);
-    }
-  }, [masterVolume, masterMuted]);
+  return (
+    <div>
+      <div ref={barsRef} style={editorStyles.bars} onMouseDown={handleMouseDown}>
+        {partials.map((level, idx) => (
+          <div key={idx} style={{ ...editorStyles.bar, height: `${level * 100}%` }} title={`Harmonic ${idx + 1}: ${Math.round(level * 100)}%`} />
+        ))}
+      </div>
+      <div style={editorStyles.numbers}>
+        {partials.map((level, idx) => (
+          <span key={idx} style={{ flex: 1, textAlign: 'center' }}>{idx + 1}</span>
+        ))}
+      </div>
+      <div style={editorStyles.toolbar}>
+        <span>Harmonics</span>
+        <button style={editorStyles.button} onClick={() => setHarmonicCount(partials.length - 1)} title="Remove the highest harmonic">−</button>
+        <span>{partials.length}</span>
+        <button style={editorStyles.button} onClick={() => setHarmonicCount(partials.length + 1)} title="Add a harmonic">＋</button>
+        <span style={{ marginLeft: '0.75rem' }}>Start from</span>
+        {PARTIAL_SHAPES.map((shape) => (
+          <button key={shape.id} style={editorStyles.button} onClick={() => onChange(shape.partials)}>
+            {shape.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Position of a lane value between min (0) and max (1), and back
+const valueToLevel = (value, min, max, scale) => (
+  scale === 'log' ? Math.log(value / min) / Math.log(max / min) : (value - min) / (max - min)
+);
+const levelToValue = (level, min, max, scale) => (
+  scale === 'log' ? min * Math.pow(max / min, level) : min + level * (max - min)
+);
+
+// Breakpoint editor for one automation lane, with a ruler for scrubbing the timeline
+// Click the lane to add a point, drag a point to move it, double-click a point to delete it
+function AutomationEditor({ points, onChange, length, position, setPlayhead, onScrub, min, max, scale, step, formatValue }) {
+  const laneRef = useRef(null);
+  const rulerRef = useRef(null);
+  const dragRef = useRef(null); // { type: 'point', idx } or { type: 'scrub' }
+  const propsRef = useRef({ points, onChange, onScrub, length, min, max, scale, step });
+  const [selectedIdx, setSelectedIdx] = useState(null);
 
-  // LFO animation loop - runs continuously to modulate volumes
   useEffect(() => {
-    const animateLFO = () => {
-      const now = Date.now();
-      const elapsed = (now - lfoStartTimeRef.current) / 1000; // seconds
+    propsRef.current = { points, onChange, onScrub, length, min, max, scale, step };
+  }, [points, onChange, onScrub, length, min, max, scale, step]);
+
+  const readTime = (e, element) => {
+    const rect = element.getBoundingClientRect();
+    const x = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    return Math.round(x * propsRef.current.length * 10) / 10;
+  };
 
-      const newModulatedVolumes = volumes.map((baseVol, idx) => {
-        const rate = lfoRates[idx];
-        const amount = lfoAmounts[idx];
+  const readValue = (e) => {
+    const { min, max, scale, step } = propsRef.current;
+    const rect = laneRef.current.getBoundingClientRect();
+    const level = Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height));
+    const value = Number((Math.round(levelToValue(level, min, max, scale) / step) * step).toFixed(4));
+    return Math.max(min, Math.min(max, value));
+  };
 
-        if (amount === 0) return baseVol;
+  const updatePoints = (newPoints) => {
+    propsRef.current.points = newPoints;
+    propsRef.current.onChange(newPoints);
+  };
 
-        // Calculate LFO value using sine wave (-1 to 1)
-        const lfoValue = Math.sin(elapsed * rate * 2 * Math.PI);
+  const handleLaneMouseDown = (e) => {
+    e.preventDefault();
+    const { points: newPoints, idx } = insertPoint(points, { time: readTime(e, laneRef.current), value: readValue(e), curve: 'linear' });
+    updatePoints(newPoints);
+    setSelectedIdx(idx);
+    dragRef.current = { type: 'point', idx };
+  };
 
-        // Calculate modulation range based on amount and base position
-        // At 100% amount, the slider moves through its full possible range
-        // centered on the base value
-        const maxUp = 1 - baseVol; // How far up the slider can go
-        const maxDown = baseVol; // How far down the slider can go
-        const modulationRange = Math.min(maxUp, maxDown, 0.5) * 2 * amount;
+  const handlePointMouseDown = (e, idx) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setSelectedIdx(idx);
+    dragRef.current = { type: 'point', idx };
+  };
 
-        // Apply modulation
-        const modulation = lfoValue * (modulationRange / 2);
-        return Math.max(0, Math.min(1, baseVol + modulation));
-      });
+  const handleRulerMouseDown = (e) => {
+    e.preventDefault();
+    dragRef.current = { type: 'scrub' };
+    onScrub(readTime(e, rulerRef.current));
+  };
 
-      setModulatedVolumes(newModulatedVolumes);
+  const deletePoint = (idx) => {
+    onChange(points.filter((_, i) => i !== idx));
+    setSelectedIdx(null);
+  };
 
-      // Update actual audio gains with modulated values
-      newModulatedVolumes.forEach((vol, idx) => {
-        if (gainsRef.current[idx]) {
-          const actualGain = (isPlaying && !muted[idx]) ? vol : 0;
-          gainsRef.current[idx].gain.value = actualGain;
-        }
-      });
+  const updateSelected = (changes) => {
+    onChange(points.map((point, idx) => (idx === selectedIdx ? { ...point, ...changes } : point)));
+  };
+
+  useEffect(() => {
+    const handleMouseMove = (e) => {
+      const drag = dragRef.current;
+      if (!drag) return;
 
-      lfoAnimationRef.current = requestAnimationFrame(animateLFO);
+      if (drag.type === 'scrub') {
+        propsRef.current.onScrub(readTime(e, rulerRef.current));
+        return;
+      }
+
+      // Points can't be dragged past their neighbours, so the lane stays in time order
+      const current = propsRef.current.points;
+      const prev = current[drag.idx - 1];
+      const next = current[drag.idx + 1];
+      const time = Math.min(next ? next.time : Infinity, Math.max(prev ? prev.time : 0, readTime(e, laneRef.current)));
+      updatePoints(current.map((point, idx) => (idx === drag.idx ? { ...point, time, value: readValue(e) } : point)));
+    };
+    const handleMouseUp = () => {
+      dragRef.current = null;
     };
 
-    lfoAnimationRef.current = requestAnimationFrame(animateLFO);
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
 
     return () => {
-      if (lfoAnimationRef.current) {
-        cancelAnimationFrame(lfoAnimationRef.current);
-      }
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
     };
-  }, [volumes, lfoRates, lfoAmounts, isPlaying, muted]);
+  }, []);
 
-  // Update gains when mute state changes (non-LFO related)
-  useEffect(() => {
-    if (!isPlaying) {
-      volumes.forEach((vol, idx) => {
-        if (gainsRef.current[idx]) {
-          gainsRef.current[idx].gain.value = 0; // Instant stop, no ramp
+  const toX = (time) => (time / length) * 100;
+  const toY = (value) => (1 - valueToLevel(value, min, max, scale)) * 100;
+
+  // Trace the lane as drawn: flat before the first point and after the last, with exponential segments sampled
+  const trace = [];
+  if (points.length > 0) {
+    trace.push([0, points[0].value]);
+    points.forEach((point, idx) => {
+      trace.push([point.time, point.value]);
+      const next = points[idx + 1];
+      if (!next) return;
+      if (point.curve === 'hold') {
+        trace.push([next.time, point.value]);
+      } else if (point.curve === 'exponential') {
+        for (let step = 1; step < 16; step++) {
+          const time = point.time + ((next.time - point.time) * step) / 16;
+          trace.push([time, laneValueAt(points, time)]);
         }
-      });
-    }
-  }, [isPlaying]);
+      }
+    });
+    trace.push([length, points[points.length - 1].value]);
+  }
 
-  // Oscilloscope visualization
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas || !analyserRef.current) return;
+  const selected = selectedIdx !== null ? points[selectedIdx] : null;
 
-    const ctx = canvas.getContext('2d');
-    const width = canvas.width;
-    const height = canvas.height;
+  const editorStyles = {
+    ruler: {
+      position: 'relative',
+      height: '18px',
+      background: '#262626',
+      borderRadius: '0.375rem 0.375rem 0 0',
+      cursor: 'ew-resize',
+      userSelect: 'none',
+      fontSize: '0.6rem',
+      color: '#6b7280',
+    },
+    tick: {
+      position: 'absolute',
+      top: '3px',
+      transform: 'translateX(-50%)',
+      pointerEvents: 'none',
+    },
+    lane: {
+      position: 'relative',
+      height: '140px',
+      background: '#1a1a1a',
+      border: '1px solid #404040',
+      borderTop: 'none',
+      borderRadius: '0 0 0.375rem 0.375rem',
+      cursor: 'crosshair',
+      userSelect: 'none',
+    },
+    playhead: {
+      position: 'absolute',
+      top: 0,
+      bottom: 0,
+      width: '1px',
+      background: '#f59e0b',
+      pointerEvents: 'none',
+    },
+    point: {
+      position: 'absolute',
+      width: '10px',
+      height: '10px',
+      borderRadius: '50%',
+      transform: 'translate(-50%, -50%)',
+      border: '2px solid #0891b2',
+      background: '#1a1a1a',
+      cursor: 'grab',
+    },
+    empty: {
+      position: 'absolute',
+      inset: 0,
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      fontSize: '0.75rem',
+      color: '#6b7280',
+      pointerEvents: 'none',
+    },
+    toolbar: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      gap: '0.5rem',
+      minHeight: '1.75rem',
+      marginTop: '0.5rem',
+      fontSize: '0.75rem',
+      color: '#9ca3af',
+    },
+    select: {
+      background: '#1a1a1a',
+      border: '1px solid #404040',
+      borderRadius: '0.25rem',
+      color: 'white',
+      fontSize: '0.75rem',
+      padding: '0.15rem 0.3rem',
+    },
+    button: {
+      padding: '0.2rem 0.6rem',
+      borderRadius: '0.25rem',
+      border: 'none',
+      cursor: 'pointer',
+      fontSize: '0.75rem',
+      color: 'white',
+      background: 'linear-gradient(to right, #525252, #404040)',
+    },
+  };
 
-    const draw = () => {
-      animationRef.current = requestAnimationFrame(draw);
+  return (
+    <div>
+      <div ref={rulerRef} style={editorStyles.ruler} onMouseDown={handleRulerMouseDown}>
+        {[0.1, 0.3, 0.5, 0.7, 0.9].map((fraction) => (
+          <span key={fraction} style={{ ...editorStyles.tick, left: `${fraction * 100}%` }}>
+            {formatTimelineTime(length * fraction)}
+          </span>
+        ))}
+        <div ref={setPlayhead('ruler')} style={{ ...editorStyles.playhead, left: `${toX(position)}%` }} />
+      </div>
+      <div ref={laneRef} style={editorStyles.lane} onMouseDown={handleLaneMouseDown}>
+        <svg
+          viewBox="0 0 100 100"
+          preserveAspectRatio="none"
+          style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', pointerEvents: 'none' }}
+        >
+          <polyline
+            points={trace.map(([time, value]) => `${toX(time)},${toY(value)}`).join(' ')}
+            fill="none"
+            stroke="#22d3ee"
+            strokeWidth="2"
+            vectorEffect="non-scaling-stroke"
+          />
+        </svg>
+        <div ref={setPlayhead('lane')} style={{ ...editorStyles.playhead, left: `${toX(position)}%` }} />
+        {points.map((point, idx) => (
+          <div
+            key={idx}
+            style={{
+              ...editorStyles.point,
+              left: `${toX(point.time)}%`,
+              top: `${toY(point.value)}%`,
+              ...(idx === selectedIdx ? { background: '#22d3ee' } : {}),
+            }}
+            onMouseDown={(e) => handlePointMouseDown(e, idx)}
+            onDoubleClick={() => deletePoint(idx)}
+            title={`${formatTimelineTime(point.time)} · ${formatValue(point.value)}`}
+          />
+        ))}
+        {points.length === 0 && (
+          <div style={editorStyles.empty}>Click to add the first point; once it has one, this parameter follows the lane while the timeline plays and goes back to its control when it stops</div>
+        )}
+      </div>
+      <div style={editorStyles.toolbar}>
+        {selected ? (
+          <>
+            <span>Point {selectedIdx + 1} of {points.length}: {formatTimelineTime(selected.time)} · {formatValue(selected.value)}</span>
+            <span style={{ marginLeft: '0.5rem' }}>Then</span>
+            <select
+              value={selected.curve}
+              onChange={(e) => updateSelected({ curve: e.target.value })}
+              style={editorStyles.select}
+              title="How the lane moves from this point to the next"
+            >
+              {AUTOMATION_CURVES.map((curve) => (
+                <option key={curve.id} value={curve.id}>{curve.label}</option>
+              ))}
+            </select>
+            <button style={editorStyles.button} onClick={() => deletePoint(selectedIdx)}>Delete Point</button>
+          </>
+        ) : (
+          <span>Drag points to move them, double-click to delete; select a point to change its curve</span>
+        )}
+      </div>
+    </div>
+  );
+}
 
-      const data = analyserRef.current.getValue();
+const TIMELINE_LENGTHS = [5, 10, 15, 20, 30, 40, 45, 60, 90, 120]; // minutes
+
+// A parameter with automation points follows its lane while the timeline plays, not its control
+const isLaneDriving = (points, isTimelinePlaying) => isTimelinePlaying && points.length > 0;
+
+// Release every node belonging to one mixer channel
+const disposeChannelNodes = ({ osc, pitch, gain, gate, panner, volumeLfo, faderCurve, panLfo, levelMeter, meter }) => {
+  pitch.dispose();
+  osc.dispose();
+  gain.dispose();
+  gate.dispose();
+  panner.dispose();
+  volumeLfo.dispose();
+  panLfo.dispose();
+  faderCurve.dispose();
+  levelMeter.dispose();
+  meter.dispose();
+};
 
-      // Check for clipping (values near ±1.0)
-      let isClipping = false;
-      for (let i = 0; i < data.length; i++) {
-        if (Math.abs(data[i]) > 0.95) {
-          isClipping = true;
-          break;
-        }
-      }
+// Preset library: read-only factory presets plus named user presets kept in browser storage
+function PresetPanel({ getPatch, onRecall }) {
+  const [userPresets, setUserPresets] = useState(() => loadUserPresets());
+  const [selectedId, setSelectedId] = useState(FACTORY_PRESETS[0].id);
+  const [name, setName] = useState('');
+  const [status, setStatus] = useState(null); // { text, isError }
+
+  const allPresets = [...FACTORY_PRESETS, ...userPresets];
+  const selected = allPresets.find((preset) => preset.id === selectedId);
+  const isUserPreset = userPresets.some((preset) => preset.id === selectedId);
+  const trimmedName = name.trim();
+
+  const persist = (newPresets, message) => {
+    try {
+      saveUserPresets(newPresets);
+      setUserPresets(newPresets);
+      setStatus({ text: message, isError: false });
+      return true;
+    } catch {
+      setStatus({ text: 'Could not save presets: browser storage is unavailable or full', isError: true });
+      return false;
+    }
+  };
 
-      // Auto-reduce master volume if clipping detected
-      if (isClipping && masterVolume > 0.1) {
-        setMasterVolume(prev => Math.max(0.1, prev * 0.95));
-      }
+  const isNameTaken = (candidate, exceptId) => (
+    userPresets.some((preset) => preset.id !== exceptId && preset.name.toLowerCase() === candidate.toLowerCase())
+  );
 
-      // Clear canvas
-      ctx.fillStyle = '#1a1a1a';
-      ctx.fillRect(0, 0, width, height);
+  const handleSelect = (id) => {
+    setSelectedId(id);
+    const preset = allPresets.find((p) => p.id === id);
+    setName(userPresets.some((p) => p.id === id) && preset ? preset.name : '');
+  };
 
-      // Draw waveform
-      ctx.strokeStyle = isClipping ? '#dc2626' : '#d1d5db'; // Red if clipping
-      ctx.lineWidth = 2;
-      ctx.beginPath();
+  const handleRecall = () => {
+    if (!selected) return;
+    onRecall(selected.patch);
+    setStatus({ text: `Loaded "${selected.name}"`, isError: false });
+  };
 
-      // Calculate how many samples to display based on time scale (zoom)
-      const samplesToShow = Math.min(
+  const handleSaveNew = () => {
+    if (!trimmedName) {
+      setStatus({ text: 'Enter a name for the new preset', isError: true });
+      return;
+    }
+    if (isNameTaken(trimmedName)) {
+      setStatus({ text: `A preset called "${trimmedName}" already exists; select it and use Overwrite`, isError: true });
+      return;
+    }
+    const preset = { id: createPresetId(), name: trimmedName, patch: getPatch() };
+    if (persist([...userPresets, preset], `Saved "${trimmedName}"`)) {
+      setSelectedId(preset.id);
+    }
+  };
+
+  const handleOverwrite = () => {
+    if (!isUserPreset) return;
+    persist(
+      userPresets.map((preset) => (preset.id === selectedId ? { ...preset, patch: getPatch() } : preset)),
+      `Updated "${selected.name}"`
+    );
+  };
+
+  const handleRename = () => {
+    if (!isUserPreset) return;
+    if (!trimmedName) {
+      setStatus({ text: 'Enter the new name first', isError: true });
+      return;
+    }
+    if (isNameTaken(trimmedName, selectedId)) {
+      setStatus({ text: `A preset called "${trimmedName}" already exists`, isError: true });
+      return;
+    }
+    persist(
+      userPresets.map((preset) => (preset.id === selectedId ? { ...preset, name: trimmedName } : preset)),
+      `Renamed "${selected.name}" to "${trimmedName}"`
+    );
+  };
+
+  const handleDelete = () => {
+    if (!isUserPreset) return;
+    if (!window.confirm(`Delete preset "${selected.name}"?`)) return;
+    if (persist(userPresets.filter((preset) => preset.id !== selectedId), `Deleted "${selected.name}"`)) {
+      setSelectedId(FACTORY_PRESETS[0].id);
+      setName('');
+    }
+  };
+
+  const presetStyles = {
+    row: {
+      display: 'flex',
+      gap: '0.5rem',
+      alignItems: 'center',
+      marginTop: '0.5rem',
+    },
+    field: {
+      flex: 1,
+      background: '#1a1a1a',
+      border: '1px solid #404040',
+      borderRadius: '0.375rem',
+      padding: '0.4rem 0.6rem',
+      color: 'white',
+      fontSize: '0.875rem',
+    },
+    button: {
+      padding: '0.4rem 0.8rem',
+      borderRadius: '0.375rem',
+      border: 'none',
+      cursor: 'pointer',
+      fontSize: '0.8rem',
+      fontWeight: '600',
+      color: 'white',
+      background: 'linear-gradient(to right, #525252, #404040)',
+      whiteSpace: 'nowrap',
+    },
+    disabled: {
+      opacity: 0.4,
+      cursor: 'not-allowed',
+    },
+    status: {
+      marginTop: '0.5rem',
+      fontSize: '0.75rem',
+      textAlign: 'left',
+    },
+  };
+
+  const userButton = (label, onClick, title) => (
+    <button
+      onClick={onClick}
+      disabled={!isUserPreset}
+      style={{ ...presetStyles.button, ...(isUserPreset ? {} : presetStyles.disabled) }}
+      title={isUserPreset ? title : 'Factory presets cannot be changed'}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div>
+      <div style={presetStyles.row}>
+        <select value={selectedId} onChange={(e) => handleSelect(e.target.value)} style={presetStyles.field}>
+          <optgroup label="Factory">
+            {FACTORY_PRESETS.map((preset) => (
+              <option key={preset.id} value={preset.id}>{preset.name}</option>
+            ))}
+          </optgroup>
+          {userPresets.length > 0 && (
+            <optgroup label="My presets">
+              {userPresets.map((preset) => (
+                <option key={preset.id} value={preset.id}>{preset.name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        <button
+          onClick={handleRecall}
+          style={{ ...presetStyles.button, background: 'linear-gradient(to right, #22d3ee, #0891b2)' }}
+          title="Recall the selected preset"
+        >
+          Load
+        </button>
+        {userButton('Overwrite', handleOverwrite, 'Replace the selected preset with the current settings')}
+        {userButton('Delete', handleDelete, 'Delete the selected preset')}
+      </div>
+      <div style={presetStyles.row}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleSaveNew(); }}
+          placeholder="Preset name"
+          style={presetStyles.field}
+          maxLength={60}
+        />
+        <button onClick={handleSaveNew} style={presetStyles.button} title="Save the current settings as a new preset">
+          Save New
+        </button>
+        {userButton('Rename', handleRename, 'Give the selected preset the name typed here')}
+      </div>
+      {status && (
+        <div style={{ ...presetStyles.status, color: status.isError ? '#f87171' : '#9ca3af' }}>
+          {status.text}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function TonePhase() {
+  // Hydrate from a share link if the page was opened with one
+  const [urlPatch] = useState(() => readPatchFromUrl());
+  const initialPatch = urlPatch?.patch || DEFAULT_PATCH;
+  // Page-level notice for link and file problems: { text, details, isError }
+  const [notice, setNotice] = useState(urlPatch?.error
+    ? { text: `${urlPatch.error}, so the default patch was loaded instead.`, details: [], isError: true }
+    : null);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const patchFileInputRef = useRef(null);
+  const scalaFileInputRef = useRef(null);
+  const pitchFileInputRef = useRef(null);
+  const tempoFileInputRef = useRef(null);
+  // Tempo detected from an audio file: { request, fileName, status: 'analyzing' | 'done' | 'error', bpm, confidence, candidates, message }
+  const [tempoDetection, setTempoDetection] = useState(null);
+  const tempoRequestRef = useRef(0); // Numbers each file analysis, so only the latest one's result is shown
+  // Root pitch detected from an audio file: { request, fileName, status: 'analyzing' | 'done' | 'error', freq, confidence, message }
+  const [pitchDetection, setPitchDetection] = useState(null);
+  const pitchRequestRef = useRef(0); // Numbers each file analysis, so only the latest one's result is shown
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  const [bpm, setBpm] = useState(initialPatch.bpm);
+  const [rootFreq, setRootFreq] = useState(initialPatch.rootFreq);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [audioReady, setAudioReady] = useState(false); // Track if Tone.js is initialized
+  const [resetFlash, setResetFlash] = useState(false); // For visual feedback on reset
+  const [masterVolume, setMasterVolume] = useState(initialPatch.masterVolume);
+  const [masterMuted, setMasterMuted] = useState(false);
+  const [volumes, setVolumes] = useState(initialPatch.volumes);
+  const [muted, setMuted] = useState(initialPatch.muted);
+
+  // Channel table: ratio of each channel's beat to the bpm (the first channel is the root)
+  const [ratios, setRatios] = useState(initialPatch.ratios);
+  // Brainwave mode sets each beat directly in Hz instead
+  const [beatMode, setBeatMode] = useState(initialPatch.beatMode);
+  const [beatFrequencies, setBeatFrequencies] = useState(initialPatch.beatFrequencies);
+  const [beatUnit, setBeatUnit] = useState('hz'); // Brainwave beats shown as 'hz' or as an 'ms' period
+  const [waveforms, setWaveforms] = useState(initialPatch.waveforms);
+  const [partials, setPartials] = useState(initialPatch.partials); // Harmonic levels for custom waveforms
+  const [editingPartialsIdx, setEditingPartialsIdx] = useState(null); // Channel shown in the partials editor
+  const [channelIds, setChannelIds] = useState(() => createChannelIds(initialPatch.ratios.length));
+
+  // Stereo routing state
+  const [stereoMode, setStereoMode] = useState(initialPatch.stereoMode);
+  const [channelPans, setChannelPans] = useState(initialPatch.channelPans); // Used in mixed mode (-1 = L, 1 = R)
+  const [masterPan, setMasterPan] = useState(initialPatch.masterPan);
+
+  // Pan LFO state for each channel (only active in mixed mode)
+  const [panLfoRates, setPanLfoRates] = useState(initialPatch.panLfoRates); // Hz
+  const [panLfoAmounts, setPanLfoAmounts] = useState(initialPatch.panLfoAmounts); // 0-1 (fraction of full L-R width)
+
+  // LFO state for each channel
+  const [lfoRates, setLfoRates] = useState(initialPatch.lfoRates); // Hz
+  const [lfoSyncRatios, setLfoSyncRatios] = useState(initialPatch.lfoSyncRatios); // Cycles per quarter note, 0 = free-running
+  const [lfoAmounts, setLfoAmounts] = useState(initialPatch.lfoAmounts); // 0-1 (percentage)
+  const [lfoShapes, setLfoShapes] = useState(initialPatch.lfoShapes);
+  const [lfoPhases, setLfoPhases] = useState(initialPatch.lfoPhases); // Degrees into the cycle after a reset
+  const [modulatedVolumes, setModulatedVolumes] = useState(initialPatch.volumes);
+  const [automatedValues, setAutomatedValues] = useState(null); // { rootFreq, bpm, masterVolume } as heard, read back while lanes drive them
+
+  const timeScale = 3.0; // Hard-coded time scale value
+  const lfoAnimationRef = useRef(null); // Animation frame reading the modulated levels back for display
+
+  // Metronome state
+  const [isMetronomeOn, setIsMetronomeOn] = useState(false);
+  const metronomeRef = useRef(null);
+  const metronomeSynthRef = useRef(null);
+  const beatCountRef = useRef(0);
+
+  const oscillatorsRef = useRef([]);
+  const channelNodesRef = useRef(new Map()); // Channel id -> { osc, pitch, gain, gate, panner, volumeLfo, faderCurve, panLfo, levelMeter, meter }
+  const masterMeterRef = useRef(null);
+  const masterLimiterRef = useRef(null);
+  const limiterReductionRef = useRef(null); // Readout and clip light in the master strip, written by the meter loop
+  const clipLightRef = useRef(null);
+  const meterCanvasesRef = useRef(new Map()); // Channel id (or 'master') -> level meter canvas
+  const meterStatesRef = useRef(new Map()); // Channel id (or 'master') -> falling bars, held peaks and clip latches
+  const meterCanvasCallbacksRef = useRef(new Map()); // Channel id (or 'master') -> ref callback for its meter canvas
+  const pitchSourceRef = useRef(null); // Root and bpm signals every oscillator's frequency is worked out from
+  const masterLevelRef = useRef(null); // Master fader position, through the fader curve to the master gain
+  const masterGainRef = useRef(null);
+  const masterMuteRef = useRef(null);
+  const masterPannerRef = useRef(null);
+  const analyserRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [scopeView, setScopeView] = useState('scope'); // 'scope' or 'spectrum'
+  const [spectrumSpan, setSpectrumSpan] = useState('full');
+  const fftAnalyserRef = useRef(null);
+  const zoomAnalyserRef = useRef(null); // Promise of the zoom analyser, created the first time a zoomed span is shown
+  const spectrumCanvasRef = useRef(null);
+  const spectrumMarkersRef = useRef([]);
+  const [showSpectrogram, setShowSpectrogram] = useState(false);
+  const [spectrogramSpan, setSpectrogramSpan] = useState('25');
+  const [spectrogramWindow, setSpectrogramWindow] = useState(120); // seconds across the picture
+  const spectrogramRef = useRef(null); // The picture so far, kept while the panel is hidden
+  const spectrogramZoomRef = useRef(null); // Its own zoom analyser, so it can show a different band from the spectrum
+  const spectrogramCanvasRef = useRef(null);
+  const spectrogramCenterRef = useRef(null); // Root the picture's band is centred on, or null while it's empty
+  const animationRef = useRef(null);
+  const scrollOffsetRef = useRef(0);
+  const tapTimesRef = useRef([]); // For tap tempo
+  const patchGlideRef = useRef(null); // { patch, endTime }: the last recalled patch and when the glide to it ends
+
+  // Offline export settings
+  const [exportDuration, setExportDuration] = useState(60); // seconds
+  const [exportSampleRate, setExportSampleRate] = useState(48000);
+  const [exportBitDepth, setExportBitDepth] = useState(24);
+  const [exportStems, setExportStems] = useState(false); // Also render each channel to its own file
+  const [exportClick, setExportClick] = useState(false); // Add a metronome click stem
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportStatus, setExportStatus] = useState('');
+
+  // Automation timeline
+  const [automation, setAutomation] = useState(initialPatch.automation); // Length and patch-wide lanes
+  const [volumeAutomation, setVolumeAutomation] = useState(initialPatch.volumeAutomation); // A lane per channel
+  const [automationLaneId, setAutomationLaneId] = useState('bpm'); // Lane shown in the editor
+  const [timelinePosition, setTimelinePosition] = useState(0); // seconds
+  const [isTimelinePlaying, setIsTimelinePlaying] = useState(false);
+  const timelineOriginRef = useRef(null); // { position, time }: where the running timeline was on the audio clock
+  const timelineEndRef = useRef(null); // Context timeout that stops the timeline at its end
+  const timelinePlayheadsRef = useRef(new Map()); // Playhead elements in the editor, moved every frame while playing
+  const timelineReadoutRef = useRef(null);
+
+  // Reference pitch and temperament for the root's note readout and snapping (saved in this browser, not the patch)
+  const [tuning, setTuning] = useState(loadTuning);
+  const noteTable = useMemo(() => buildNoteTable(tuning), [tuning]);
+  const snapTable = useMemo(
+    () => filterNotesToScale(noteTable, tuning.snapScale, tuning.snapRoot),
+    [noteTable, tuning.snapScale, tuning.snapRoot],
+  );
+
+  const frequencies = getBeatOffsets({ bpm, beatMode, ratios, beatFrequencies }).map((offset) => rootFreq + offset);
+  const pitchTerms = getPitchTerms({ beatMode, ratios, beatFrequencies });
+
+  // Ranges for the root, bpm and beats that keep every channel above 0 Hz; menus and presets are clamped to them
+  const frequencyLimits = getFrequencyLimits({ rootFreq, bpm, beatMode, ratios, beatFrequencies });
+  const clampToLimits = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+  // Stereo position of a channel for the current output mode (-1 = left, 1 = right)
+  const getChannelPan = (idx) => {
+    if (stereoMode === 'binaural') return idx === 0 ? -1 : 1;
+    if (stereoMode === 'mixed') return channelPans[idx];
+    return 0;
+  };
+
+  // Volume LFO rate in Hz; tempo-synced LFOs follow the bpm
+  const getLfoRate = (idx) => (lfoSyncRatios[idx] > 0 ? (bpm / 60) * lfoSyncRatios[idx] : lfoRates[idx]);
+
+  // Pan LFOs only sweep channels that the user places themselves
+  const hasPanLfo = (idx) => stereoMode === 'mixed' && panLfoAmounts[idx] > 0;
+
+  // Predicted peak of the mix going into the limiter, from each channel's loudest point
+  const predictedPeakDb = gainToDb(predictPeak(
+    volumes.map((vol, idx) => {
+      const pan = getChannelPan(idx);
+      const panSweep = hasPanLfo(idx) ? panLfoAmounts[idx] : 0;
+      return {
+        gain: muted[idx] ? 0 : faderToGain(vol + volumeLfoDepth(vol, lfoAmounts[idx])),
+        panRange: [Math.max(-1, pan - panSweep), Math.min(1, pan + panSweep)],
+      };
+    }),
+    masterMuted ? 0 : faderToGain(masterVolume),
+    masterPan,
+  ));
+  const headroomLabel = predictedPeakDb > LIMITER_THRESHOLD_DB ? 'Limits' : 'Headroom';
+  let headroomText = `${(-predictedPeakDb).toFixed(1)} dB`;
+  if (predictedPeakDb === -Infinity) headroomText = '∞';
+  else if (predictedPeakDb > LIMITER_THRESHOLD_DB) headroomText = `≤${(predictedPeakDb - LIMITER_THRESHOLD_DB).toFixed(1)} dB`;
+
+  useEffect(() => {
+    // Create analyzer
+    analyserRef.current = new Tone.Analyser('waveform', 2048);
+
+    // master gain -> master panner -> limiter -> analyzer and destination
+    // The master meter reads the mix before the limiter, so its clip light shows overs the limiter had to catch
+    masterLimiterRef.current = createMasterLimiter().toDestination();
+    masterLimiterRef.current.connect(analyserRef.current);
+    fftAnalyserRef.current = new Tone.Analyser('fft', FULL_FFT_SIZE);
+    masterLimiterRef.current.connect(fftAnalyserRef.current);
+    masterPannerRef.current = new Tone.Panner(masterPan);
+    masterPannerRef.current.connect(masterLimiterRef.current.input);
+    masterMeterRef.current = new Tone.Analyser({ type: 'waveform', size: 1024, channels: 2 });
+    masterPannerRef.current.connect(masterMeterRef.current);
+    // master level -> fader curve -> master gain -> mute -> master panner
+    masterMuteRef.current = new Tone.Gain(masterMuted ? 0 : 1).connect(masterPannerRef.current);
+    masterGainRef.current = new Tone.Gain(0).connect(masterMuteRef.current);
+    const masterFaderCurve = createFaderCurve().connect(masterGainRef.current.gain);
+    masterLevelRef.current = new Tone.Signal(masterVolume).connect(masterFaderCurve);
+    pitchSourceRef.current = createPitchSource({ rootFreq, bpm });
+
+    return () => {
+      channelNodesRef.current.forEach(disposeChannelNodes);
+      channelNodesRef.current = new Map();
+      if (pitchSourceRef.current) pitchSourceRef.current.dispose();
+      if (masterLevelRef.current) masterLevelRef.current.dispose();
+      masterFaderCurve.dispose();
+      if (masterGainRef.current) masterGainRef.current.dispose();
+      if (masterMuteRef.current) masterMuteRef.current.dispose();
+      if (masterPannerRef.current) masterPannerRef.current.dispose();
+      if (masterLimiterRef.current) masterLimiterRef.current.dispose();
+      if (analyserRef.current) analyserRef.current.dispose();
+      if (fftAnalyserRef.current) fftAnalyserRef.current.dispose();
+      [zoomAnalyserRef, spectrogramZoomRef].forEach((ref) => {
+        if (ref.current) ref.current.then((zoom) => zoom.dispose(), () => {});
+      });
+      if (masterMeterRef.current) masterMeterRef.current.dispose();
+      if (animationRef.current) cancelAnimationFrame(animationRef.current);
+      if (timelineEndRef.current !== null) Tone.getContext().clearTimeout(timelineEndRef.current);
+    };
+  }, []);
+
+  // Build audio nodes for added channels and dispose removed ones, keeping the refs in channel order
+  useEffect(() => {
+    const existing = channelNodesRef.current;
+    const next = new Map();
+
+    channelIds.forEach((id, idx) => {
+      if (existing.has(id)) {
+        next.set(id, existing.get(id));
+        return;
+      }
+      // oscillator (frequency from the shared root and bpm) -> gain (volume LFO through the fader curve)
+      // -> gate (play/mute) -> panner (pan LFO) -> master
+      const osc = new Tone.Oscillator(0, 'sine');
+      const pitch = createChannelPitch(pitchSourceRef.current, pitchTerms[idx]).connect(osc.frequency);
+      applyWaveform(osc, waveforms[idx], partials[idx]);
+      osc.start();
+      const panner = new Tone.Panner(0).connect(masterGainRef.current);
+      const gate = new Tone.Gain(isPlaying && !muted[idx] ? 1 : 0).connect(panner);
+      const gain = new Tone.Gain(0).connect(gate);
+      osc.connect(gain);
+      // Metered after the gate, so the meter shows what the channel sends to the master
+      const meter = new Tone.Analyser('waveform', 1024);
+      gate.connect(meter);
+
+      // The LFO moves the fader position; the curve turns that into gain
+      const faderCurve = createFaderCurve().connect(gain.gain);
+      const volumeLfo = createModulator({
+        shape: lfoShapes[idx],
+        rate: getLfoRate(idx),
+        phase: lfoPhases[idx],
+        depth: volumeLfoDepth(volumes[idx], lfoAmounts[idx]),
+        center: volumes[idx],
+      }).connect(faderCurve).start();
+      const levelMeter = new Tone.DCMeter();
+      volumeLfo.connect(levelMeter);
+
+      const panLfo = createModulator({
+        rate: panLfoRates[idx],
+        depth: hasPanLfo(idx) ? panLfoAmounts[idx] : 0,
+        center: getChannelPan(idx),
+      }).connect(panner.pan).start();
+
+      next.set(id, { osc, pitch, gain, gate, panner, volumeLfo, faderCurve, panLfo, levelMeter, meter });
+    });
+
+    existing.forEach((nodes, id) => {
+      if (next.has(id)) return;
+      disposeChannelNodes(nodes);
+      meterStatesRef.current.delete(id);
+      meterCanvasCallbacksRef.current.delete(id);
+    });
+
+    channelNodesRef.current = next;
+    oscillatorsRef.current = channelIds.map((id) => next.get(id).osc);
+  }, [channelIds]);
+
+  useEffect(() => {
+    oscillatorsRef.current.forEach((osc, idx) => {
+      applyWaveform(osc, waveforms[idx], partials[idx]);
+    });
+  }, [waveforms, partials, channelIds]);
+
+  // Time for a param to reach its control's value: what is left of a patch recall's glide while the control still
+  // holds the recalled value, otherwise a quick ramp, so a control moved during the glide answers straight away
+  const getRampTime = (isRecalled, quickTime) => {
+    const glide = patchGlideRef.current;
+    if (!glide || !isRecalled(glide.patch)) return quickTime;
+    return Math.max(quickTime, glide.endTime - Tone.now());
+  };
+
+  // Glide the root, bpm and each channel's pitch terms, so every channel's frequency moves together
+  useEffect(() => {
+    const { root, bpm: tempo } = pitchSourceRef.current;
+    if (!isLaneDriving(automation.rootFreq, isTimelinePlaying)) {
+      root.rampTo(rootFreq, getRampTime((patch) => patch.rootFreq === rootFreq, 0.1));
+    }
+    if (!isLaneDriving(automation.bpm, isTimelinePlaying)) {
+      tempo.rampTo(bpm, getRampTime((patch) => patch.bpm === bpm, 0.1));
+    }
+    const termsRampTime = getRampTime(
+      (patch) => patch.beatMode === beatMode && patch.ratios === ratios && patch.beatFrequencies === beatFrequencies,
+      0.1,
+    );
+    channelIds.forEach((id, idx) => {
+      const { pitch } = channelNodesRef.current.get(id);
+      pitch.bpmFactor.rampTo(pitchTerms[idx].bpmFactor, termsRampTime);
+      pitch.beatOffset.rampTo(pitchTerms[idx].beatOffset, termsRampTime);
+    });
+  }, [bpm, rootFreq, ratios, beatMode, beatFrequencies, channelIds, isTimelinePlaying, automation]);
+
+  // Move channels between ears when the stereo mode or mixed-mode placement changes
+  // Pan LFOs sweep around the channel's position, and only in mixed mode
+  useEffect(() => {
+    channelIds.forEach((id, idx) => {
+      const { panLfo } = channelNodesRef.current.get(id);
+      const rampTime = getRampTime((patch) => patch.stereoMode === stereoMode && patch.channelPans[idx] === channelPans[idx], 0.05);
+      panLfo.center.rampTo(getChannelPan(idx), rampTime);
+      panLfo.depth.rampTo(hasPanLfo(idx) ? panLfoAmounts[idx] : 0, 0.05);
+      panLfo.rampRate(panLfoRates[idx], 0.05);
+    });
+  }, [stereoMode, channelPans, panLfoRates, panLfoAmounts, channelIds]);
+
+  // Volume LFOs swing around each channel's fader position
+  useEffect(() => {
+    channelIds.forEach((id, idx) => {
+      const { volumeLfo } = channelNodesRef.current.get(id);
+      if (!isLaneDriving(volumeAutomation[idx], isTimelinePlaying)) {
+        const rampTime = getRampTime((patch) => patch.volumes[idx] === volumes[idx], 0.05);
+        volumeLfo.center.rampTo(volumes[idx], rampTime);
+        volumeLfo.depth.rampTo(volumeLfoDepth(volumes[idx], lfoAmounts[idx]), rampTime);
+      }
+      if (!(lfoSyncRatios[idx] > 0 && isLaneDriving(automation.bpm, isTimelinePlaying))) volumeLfo.rampRate(getLfoRate(idx), 0.05);
+    });
+  }, [volumes, lfoRates, lfoSyncRatios, lfoAmounts, bpm, channelIds, isTimelinePlaying, volumeAutomation, automation]);
+
+  useEffect(() => {
+    channelIds.forEach((id, idx) => {
+      const { volumeLfo } = channelNodesRef.current.get(id);
+      volumeLfo.setShape(lfoShapes[idx]);
+      volumeLfo.setPhase(lfoPhases[idx]);
+    });
+  }, [lfoShapes, lfoPhases, channelIds]);
+
+  // Open the gates of playing, unmuted channels (stopping is instant, no ramp)
+  useEffect(() => {
+    channelIds.forEach((id, idx) => {
+      const { gate } = channelNodesRef.current.get(id);
+      if (!isPlaying) {
+        gate.gain.value = 0;
+      } else {
+        gate.gain.rampTo(muted[idx] ? 0 : 1, 0.01);
+      }
+    });
+  }, [isPlaying, muted, channelIds]);
+
+  useEffect(() => {
+    if (masterPannerRef.current) {
+      masterPannerRef.current.pan.rampTo(masterPan, getRampTime((patch) => patch.masterPan === masterPan, 0.05));
+    }
+  }, [masterPan]);
+
+  useEffect(() => {
+    if (!isLaneDriving(automation.masterVolume, isTimelinePlaying)) {
+      masterLevelRef.current.rampTo(masterVolume, getRampTime((patch) => patch.masterVolume === masterVolume, 0.05));
+    }
+  }, [masterVolume, isTimelinePlaying, automation]);
+
+  useEffect(() => {
+    masterMuteRef.current.gain.rampTo(masterMuted ? 0 : 1, 0.05);
+  }, [masterMuted]);
+
+  // Level meters: measured and drawn every frame while playing, without going through React state
+  const getMeterState = (id, channelCount) => {
+    if (!meterStatesRef.current.has(id)) meterStatesRef.current.set(id, createMeterState(channelCount));
+    return meterStatesRef.current.get(id);
+  };
+
+  // Ref callback for a meter canvas; draws it once straight away so a stopped mixer shows empty meters
+  // Each id keeps one callback, so re-renders (every frame while a volume LFO is read back) don't re-attach and redraw
+  const setMeterCanvas = (id, channelCount) => {
+    const callbacks = meterCanvasCallbacksRef.current;
+    if (!callbacks.has(id)) {
+      callbacks.set(id, (canvas) => {
+        if (canvas) {
+          meterCanvasesRef.current.set(id, canvas);
+          drawMeter(canvas, getMeterState(id, channelCount));
+        } else {
+          meterCanvasesRef.current.delete(id);
+        }
+      });
+    }
+    return callbacks.get(id);
+  };
+
+  // Gain reduction and the clip light in the master strip, written straight to the page like the meters
+  const showLimiterStatus = (reduction, clipped) => {
+    if (limiterReductionRef.current) {
+      limiterReductionRef.current.textContent = `${reduction < -0.05 ? reduction.toFixed(1) : '0.0'} dB`;
+    }
+    if (clipLightRef.current) {
+      Object.assign(clipLightRef.current.style, clipped ? styles.muteButtonActive : styles.muteButtonInactive);
+    }
+  };
+
+  const isMasterClipped = () => getMeterState('master', 2).channels.some((channel) => channel.clipped);
+
+  const handleResetClip = (id, channelCount) => {
+    const state = getMeterState(id, channelCount);
+    resetClip(state);
+    const canvas = meterCanvasesRef.current.get(id);
+    if (canvas) drawMeter(canvas, state);
+    if (id === 'master') showLimiterStatus(0, false);
+  };
+
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    const meters = [
+      ...channelIds.map((id) => ({ id, channelCount: 1, analyser: channelNodesRef.current.get(id).meter })),
+      { id: 'master', channelCount: 2, analyser: masterMeterRef.current },
+    ];
+    let frame;
+    const drawMeters = () => {
+      const now = performance.now() / 1000;
+      meters.forEach(({ id, channelCount, analyser }) => {
+        const state = getMeterState(id, channelCount);
+        updateMeter(state, analyser.getValue(), now);
+        const canvas = meterCanvasesRef.current.get(id);
+        if (canvas) drawMeter(canvas, state);
+      });
+      showLimiterStatus(masterLimiterRef.current.reduction, isMasterClipped());
+      frame = requestAnimationFrame(drawMeters);
+    };
+    frame = requestAnimationFrame(drawMeters);
+
+    // Stopping empties the meters but leaves any clip light on until it is clicked
+    return () => {
+      cancelAnimationFrame(frame);
+      meters.forEach(({ id, channelCount }) => {
+        const state = getMeterState(id, channelCount);
+        const clipped = state.channels.map((channel) => channel.clipped);
+        const cleared = createMeterState(channelCount);
+        cleared.channels.forEach((channel, idx) => {
+          channel.clipped = clipped[idx];
+        });
+        meterStatesRef.current.set(id, cleared);
+        const canvas = meterCanvasesRef.current.get(id);
+        if (canvas) drawMeter(canvas, cleared);
+      });
+      showLimiterStatus(0, isMasterClipped());
+    };
+  }, [isPlaying, channelIds]);
+
+  // Read the modulated and automated values back from the audio graph so the controls can follow them
+  const isVolumeFollowed = (idx) => lfoAmounts[idx] > 0 || isLaneDriving(volumeAutomation[idx], isTimelinePlaying);
+  const isLaneFollowed = (laneId) => isLaneDriving(automation[laneId], isTimelinePlaying) && automatedValues !== null;
+  const isReadingBack = channelIds.some((id, idx) => isVolumeFollowed(idx))
+    || GLOBAL_LANES.some((lane) => isLaneDriving(automation[lane.id], isTimelinePlaying));
+  useEffect(() => {
+    if (!isReadingBack) return;
+
+    const readLevels = () => {
+      setModulatedVolumes(channelIds.map((id) => channelNodesRef.current.get(id).levelMeter.getValue()));
+      setAutomatedValues({ ...readLivePitch(), masterVolume: masterLevelRef.current.getValueAtTime(Tone.immediate()) });
+      lfoAnimationRef.current = requestAnimationFrame(readLevels);
+    };
+
+    lfoAnimationRef.current = requestAnimationFrame(readLevels);
+
+    return () => {
+      if (lfoAnimationRef.current) {
+        cancelAnimationFrame(lfoAnimationRef.current);
+      }
+    };
+  }, [isReadingBack, channelIds]);
+
+  // Oscilloscope visualization
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (scopeView !== 'scope' || !canvas || !analyserRef.current) return;
+
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+
+    const draw = () => {
+      animationRef.current = requestAnimationFrame(draw);
+
+      const data = analyserRef.current.getValue();
+
+      // Clear canvas
+      ctx.fillStyle = '#1a1a1a';
+      ctx.fillRect(0, 0, width, height);
+
+      // Draw waveform
+      ctx.strokeStyle = '#d1d5db';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+
+      // Calculate how many samples to display based on time scale (zoom)
+      const samplesToShow = Math.min(
         Math.floor(data.length / timeScale),
         data.length
       );
@@ -557,22 +1639,189 @@ export default function TonePhase() {
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [isPlaying]);
+  }, [isPlaying, scopeView]);
+
+  // The root and bpm the oscillators are playing now, which automation lanes may be moving away from the controls
+  const readLivePitch = () => {
+    const now = Tone.immediate();
+    const { root, bpm: tempo } = pitchSourceRef.current;
+    return { rootFreq: root.getValueAtTime(now), bpm: tempo.getValueAtTime(now) };
+  };
+
+  // Channel markers for the spectrum at a root and bpm, labelled with their beat offset from the root
+  const getSpectrumMarkers = (pitch) => spectrumMarkersRef.current.map(({ bpmFactor, beatOffset, isActive }, idx) => {
+    const offset = pitch.bpm * bpmFactor + beatOffset;
+    return {
+      freq: pitch.rootFreq + offset,
+      label: idx === 0 ? 'Root' : `${offset < 0 ? '' : '+'}${formatBeat(offset, 'hz')} Hz`,
+      isActive,
+    };
+  });
+
+  useEffect(() => {
+    spectrumMarkersRef.current = pitchTerms.map((terms, idx) => ({ ...terms, isActive: !muted[idx] && volumes[idx] > 0 }));
+
+    // Nothing redraws the spectrum or spectrogram while stopped, so show the grid and markers here
+    if (isPlaying) return;
+    const sampleRate = Tone.getContext().sampleRate;
+    const markers = getSpectrumMarkers({ rootFreq, bpm });
+    const canvas = spectrumCanvasRef.current;
+    if (scopeView === 'spectrum' && canvas) {
+      const range = getSpectrumRange(findSpectrumSpan(spectrumSpan), rootFreq, sampleRate);
+      drawSpectrum(canvas, { spectrum: null, range, markers });
+    }
+    const spectrogramCanvas = spectrogramCanvasRef.current;
+    if (showSpectrogram && spectrogramCanvas && spectrogramRef.current) {
+      spectrogramRef.current.render(spectrogramCanvas, {
+        range: getSpectrumRange(findSpectrumSpan(spectrogramSpan), spectrogramCenterRef.current ?? rootFreq, sampleRate),
+        windowSeconds: spectrogramWindow,
+        markers,
+      });
+    }
+  });
+
+  // Zoom analysers are created on first use and fed from the limiter output
+  const getZoomAnalyser = (ref) => {
+    if (!ref.current) {
+      ref.current = createZoomAnalyser().then((created) => {
+        masterLimiterRef.current.connect(created.input);
+        return created;
+      });
+    }
+    return ref.current;
+  };
+
+  // Spectrum visualization; changing the span starts a zoomed window afresh
+  // A zoomed band stays put while the root moves a little, so its window keeps filling; see needsRecentring
+  useEffect(() => {
+    const canvas = spectrumCanvasRef.current;
+    if (!isPlaying || scopeView !== 'spectrum' || !canvas) return;
+
+    const span = findSpectrumSpan(spectrumSpan);
+    const sampleRate = Tone.getContext().sampleRate;
+
+    let frame;
+    let isCancelled = false;
+    const start = async () => {
+      let zoom = null;
+      let bandCenter = null;
+      if (span.halfWidth) {
+        zoom = await getZoomAnalyser(zoomAnalyserRef);
+        if (isCancelled) return;
+      }
+
+      const draw = () => {
+        const pitch = readLivePitch();
+        if (zoom && (bandCenter === null || needsRecentring(bandCenter, pitch.rootFreq, span.halfWidth))) {
+          bandCenter = pitch.rootFreq;
+          zoom.setBand(bandCenter, span.halfWidth);
+        }
+        const range = getSpectrumRange(span, bandCenter ?? pitch.rootFreq, sampleRate);
+        const spectrum = zoom ? zoom.getSpectrum() : readFullSpectrum(fftAnalyserRef.current, sampleRate);
+        drawSpectrum(canvas, { spectrum, range, markers: getSpectrumMarkers(pitch) });
+        frame = requestAnimationFrame(draw);
+      };
+      draw();
+    };
+    start().catch((err) => {
+      zoomAnalyserRef.current = null;
+      setSpectrumSpan('full');
+      setNotice({ text: 'The zoomed spectrum could not start in this browser', details: [err.message], isError: true });
+    });
+
+    return () => {
+      isCancelled = true;
+      cancelAnimationFrame(frame);
+    };
+  }, [isPlaying, scopeView, spectrumSpan]);
+
+  // Spectrogram: adds columns on a clock while playing, so the time axis stays true however fast frames come
+  // The band holds still while the root moves a little; once it has to recentre (see needsRecentring), the picture
+  // starts over, since the labels can only describe one band
+  useEffect(() => {
+    const canvas = spectrogramCanvasRef.current;
+    if (!showSpectrogram || !canvas) return;
+
+    if (!spectrogramRef.current) spectrogramRef.current = createSpectrogram(canvas.width, canvas.height);
+    const spectrogram = spectrogramRef.current;
+    const span = findSpectrumSpan(spectrogramSpan);
+    const sampleRate = Tone.getContext().sampleRate;
+    const render = () => {
+      const pitch = readLivePitch();
+      spectrogram.render(canvas, {
+        range: getSpectrumRange(span, spectrogramCenterRef.current ?? pitch.rootFreq, sampleRate),
+        windowSeconds: spectrogramWindow,
+        markers: getSpectrumMarkers(pitch),
+      });
+    };
+    render();
+    if (!isPlaying) return;
+
+    let frame;
+    let isCancelled = false;
+    const start = async () => {
+      const zoom = await getZoomAnalyser(spectrogramZoomRef);
+      if (isCancelled) return;
+      // Carry on with the picture from the last run if the root is still near its band
+      let bandCenter = null;
+      const setBand = (center) => {
+        bandCenter = center;
+        zoom.setBand(center, span.halfWidth, spectrogramFftSeconds(span.halfWidth));
+      };
+      const center = spectrogramCenterRef.current;
+      const root = readLivePitch().rootFreq;
+      setBand(center === null || needsRecentring(center, root, span.halfWidth) ? root : center);
+
+      const interval = spectrogramWindow / canvas.width;
+      let lastColumn = performance.now() / 1000;
+      const draw = () => {
+        const root = readLivePitch().rootFreq;
+        if (needsRecentring(bandCenter, root, span.halfWidth)) setBand(root);
+        if (spectrogramCenterRef.current !== bandCenter) {
+          spectrogram.clear();
+          spectrogramCenterRef.current = bandCenter;
+        }
+        const range = getSpectrumRange(span, bandCenter, sampleRate);
+        const now = performance.now() / 1000;
+        // After a long gap (a hidden tab), fill at most one screen
+        const due = Math.floor((now - lastColumn) / interval);
+        for (let i = 0; i < Math.min(due, canvas.width); i++) spectrogram.addColumn(zoom.getSpectrum(), range);
+        lastColumn += due * interval;
+        render();
+        frame = requestAnimationFrame(draw);
+      };
+      draw();
+    };
+    start().catch((err) => {
+      spectrogramZoomRef.current = null;
+      setShowSpectrogram(false);
+      setNotice({ text: 'The spectrogram could not start in this browser', details: [err.message], isError: true });
+    });
+
+    return () => {
+      isCancelled = true;
+      cancelAnimationFrame(frame);
+    };
+  }, [isPlaying, showSpectrogram, spectrogramSpan, spectrogramWindow]);
+
+  // A new band or time scale makes the picture so far meaningless
+  const changeSpectrogramView = (update) => {
+    if (spectrogramRef.current) spectrogramRef.current.clear();
+    spectrogramCenterRef.current = null;
+    update();
+  };
+
+  const exportSpectrogram = () => {
+    spectrogramCanvasRef.current.toBlob((blob) => {
+      if (blob) downloadBlob(blob, `${getExportBaseName()}-spectrogram.png`);
+    }, 'image/png');
+  };
 
   // Metronome effect - only runs when toggling on/off
   useEffect(() => {
     // Create synth for metronome clicks if it doesn't exist
     if (!metronomeSynthRef.current) {
-      metronomeSynthRef.current = new Tone.MembraneSynth({
-        pitchDecay: 0.008,
-        octaves: 2,
-        envelope: {
-          attack: 0.001,
-          decay: 0.1,
-          sustain: 0,
-          release: 0.1,
-        },
-      }).toDestination();
+      metronomeSynthRef.current = new Tone.MembraneSynth(METRONOME_SYNTH_OPTIONS).toDestination();
     }
 
     if (isMetronomeOn) {
@@ -581,11 +1830,7 @@ export default function TonePhase() {
 
       // Use musical time notation "4n" (quarter note) - automatically adjusts to BPM
       metronomeRef.current = new Tone.Loop((time) => {
-        const isDownbeat = beatCountRef.current % 4 === 0;
-        const pitch = isDownbeat ? 'C5' : 'C4'; // Higher pitch on downbeat
-        const velocity = isDownbeat ? 0.8 : 0.5;
-
-        metronomeSynthRef.current.triggerAttackRelease(pitch, '16n', time, velocity);
+        triggerClick(metronomeSynthRef.current, beatCountRef.current, time);
         beatCountRef.current++;
       }, '4n');
 
@@ -614,10 +1859,10 @@ export default function TonePhase() {
 
   // Update Transport BPM when bpm changes (without recreating the loop)
   useEffect(() => {
-    if (isMetronomeOn) {
+    if (isMetronomeOn && !isLaneDriving(automation.bpm, isTimelinePlaying)) {
       Tone.Transport.bpm.value = bpm;
     }
-  }, [bpm, isMetronomeOn]);
+  }, [bpm, isMetronomeOn, isTimelinePlaying, automation]);
 
   // Pre-initialize audio on any user interaction for lower latency
   const initAudio = useCallback(async () => {
@@ -646,9 +1891,9 @@ export default function TonePhase() {
     setTimeout(() => setResetFlash(false), 150);
 
     // Brief mute for audible "click" to mark the reset point
-    if (masterGainRef.current) {
-      const currentVol = masterMuted ? 0 : masterVolume;
-      masterGainRef.current.gain.value = 0;
+    if (masterMuteRef.current) {
+      const currentGain = masterMuted ? 0 : 1;
+      masterMuteRef.current.gain.value = 0;
 
       // Reset all oscillator phases (Tone.js uses degrees 0-360)
       oscillatorsRef.current.forEach((osc) => {
@@ -657,26 +1902,152 @@ export default function TonePhase() {
         }
       });
 
-      // Reset LFO timing
-      lfoStartTimeRef.current = Date.now();
+      // Restart every LFO at the top of its cycle, offset by its phase
+      // The metronome restarts at the same moment, so synced LFOs line up with the downbeat
+      const now = Tone.now();
+      channelNodesRef.current.forEach(({ volumeLfo, panLfo }) => {
+        volumeLfo.restart(now);
+        panLfo.restart(now);
+      });
 
       // Reset metronome to beat 1 (downbeat)
       beatCountRef.current = 0;
       if (isMetronomeOn && metronomeRef.current) {
-        Tone.Transport.stop();
+        Tone.Transport.stop(now);
         Tone.Transport.position = 0;
-        Tone.Transport.start();
+        Tone.Transport.start(now);
       }
 
       // Restore volume after brief silence
       setTimeout(() => {
-        if (masterGainRef.current) {
-          masterGainRef.current.gain.value = currentVol;
+        if (masterMuteRef.current) {
+          masterMuteRef.current.gain.value = currentGain;
         }
       }, 10);
     }
   };
 
+  // Schedule every lane with points on the params it drives, from a timeline position at an audio-clock time
+  // A parameter whose lane is empty is left to its control
+  const scheduleAutomation = (position, time) => {
+    const { root, bpm: tempo } = pitchSourceRef.current;
+    scheduleLane(root, automation.rootFreq, position, time);
+    scheduleLane(tempo, automation.bpm, position, time);
+    scheduleLane(Tone.Transport.bpm, automation.bpm, position, time);
+    scheduleLane(masterLevelRef.current, automation.masterVolume, position, time);
+    channelIds.forEach((id, idx) => {
+      const { volumeLfo } = channelNodesRef.current.get(id);
+      const points = volumeAutomation[idx];
+      scheduleLane(volumeLfo.center, points, position, time);
+      scheduleLane(volumeLfo.depth, points, position, time, (value) => volumeLfoDepth(value, lfoAmounts[idx]));
+      if (lfoSyncRatios[idx] > 0) {
+        scheduleLane(volumeLfo.rate, automation.bpm, position, time, (value) => (value / 60) * lfoSyncRatios[idx]);
+      }
+    });
+  };
+
+  // Where the timeline is now, as heard (the schedule runs a look-ahead in front of the speakers)
+  const getTimelinePosition = () => {
+    const origin = timelineOriginRef.current;
+    if (!origin) return timelinePosition;
+    return Math.min(automation.length, origin.position + Math.max(0, Tone.immediate() - origin.time));
+  };
+
+  const stopTimeline = () => {
+    if (timelineEndRef.current !== null) Tone.getContext().clearTimeout(timelineEndRef.current);
+    timelineEndRef.current = null;
+    timelineOriginRef.current = null;
+  };
+
+  // Run the timeline from a position on the audio clock, so it keeps time with the tab in the background
+  const startTimelineAt = (position) => {
+    stopTimeline();
+    const time = Tone.now();
+    timelineOriginRef.current = { position, time };
+    scheduleAutomation(position, time);
+    timelineEndRef.current = Tone.getContext().setTimeout(() => {
+      timelineEndRef.current = null;
+      timelineOriginRef.current = null;
+      setIsTimelinePlaying(false);
+      setTimelinePosition(automation.length);
+    }, automation.length - position);
+  };
+
+  const toggleTimeline = async () => {
+    if (isTimelinePlaying) {
+      const position = getTimelinePosition();
+      stopTimeline();
+      setTimelinePosition(position);
+      setIsTimelinePlaying(false);
+      return;
+    }
+    if (!audioReady) {
+      await Tone.start();
+      setAudioReady(true);
+    }
+    // Playing from the end starts over
+    const startPosition = timelinePosition >= automation.length ? 0 : timelinePosition;
+    startTimelineAt(startPosition);
+    setTimelinePosition(startPosition);
+    setIsTimelinePlaying(true);
+  };
+
+  const scrubTimeline = (position) => {
+    setTimelinePosition(position);
+    if (isTimelinePlaying) startTimelineAt(position);
+  };
+
+  // Pick the schedule up from where the timeline is when the lanes, or the params they drive, change under it
+  // (a new LFO shape brings a new rate param; starting the metronome resets the transport's bpm)
+  useEffect(() => {
+    if (isTimelinePlaying) startTimelineAt(getTimelinePosition());
+  }, [automation, volumeAutomation, channelIds, lfoSyncRatios, lfoAmounts, lfoShapes, isMetronomeOn]);
+
+  // Ref callback for the editor's playheads, which the loop below moves without going through React state
+  const setTimelinePlayhead = (id) => (element) => {
+    if (element) {
+      timelinePlayheadsRef.current.set(id, element);
+    } else {
+      timelinePlayheadsRef.current.delete(id);
+    }
+  };
+
+  const rewindTimeline = () => scrubTimeline(0);
+
+  // Shortening the timeline drops any points past the new end
+  const handleTimelineLengthChange = (length) => {
+    const beyondEnd = (points) => points.filter((point) => point.time > length).length;
+    const lostPoints = GLOBAL_LANES.reduce((total, lane) => total + beyondEnd(automation[lane.id]), 0)
+      + volumeAutomation.reduce((total, points) => total + beyondEnd(points), 0);
+    if (lostPoints > 0 && !window.confirm(`Shortening the timeline to ${formatTimelineTime(length)} removes ${lostPoints} automation point${lostPoints === 1 ? '' : 's'} after it. Continue?`)) {
+      return;
+    }
+
+    const withinLength = (points) => points.filter((point) => point.time <= length);
+    setAutomation({
+      ...automation,
+      length,
+      ...Object.fromEntries(GLOBAL_LANES.map((lane) => [lane.id, withinLength(automation[lane.id])])),
+    });
+    setVolumeAutomation(volumeAutomation.map(withinLength));
+    if (getTimelinePosition() > length) scrubTimeline(length);
+  };
+
+  const setLanePoints = (laneId, points) => {
+    if (laneId.startsWith('volume-')) {
+      const channelIdx = Number(laneId.slice('volume-'.length));
+      setVolumeAutomation((prev) => prev.map((lane, idx) => (idx === channelIdx ? points : lane)));
+    } else {
+      setAutomation((prev) => ({ ...prev, [laneId]: points }));
+    }
+  };
+
+  const formatLaneValue = (laneId, value) => {
+    if (laneId === 'bpm') return `${value} BPM`;
+    if (laneId === 'rootFreq') return `${value} Hz`;
+    return formatFaderDb(value);
+  };
+
   const handleVolumeChange = (idx, value) => {
     const newVolumes = [...volumes];
     newVolumes[idx] = value;
@@ -689,11 +2060,154 @@ export default function TonePhase() {
     setMuted(newMuted);
   };
 
+  // Panning a channel in Monaural or Binaural switches the output to Mixed, with every channel starting where
+  // that mode placed it, so only the channel being turned moves
+  const takeOverPans = () => {
+    if (stereoMode === 'mixed') return channelPans;
+    const pans = channelIds.map((_, idx) => getChannelPan(idx));
+    setStereoMode('mixed');
+    setChannelPans(pans);
+    setNotice({ text: 'Output switched to Mixed so each channel can be panned on its own.', details: [], isError: false });
+    return pans;
+  };
+
+  const handlePanChange = (idx, value) => {
+    const newPans = [...takeOverPans()];
+    newPans[idx] = value;
+    setChannelPans(newPans);
+  };
+
+  const handlePanLfoRateChange = (idx, value) => {
+    takeOverPans();
+    const newRates = [...panLfoRates];
+    newRates[idx] = value;
+    setPanLfoRates(newRates);
+  };
+
+  const handlePanLfoAmountChange = (idx, value) => {
+    takeOverPans();
+    const newAmounts = [...panLfoAmounts];
+    newAmounts[idx] = value;
+    setPanLfoAmounts(newAmounts);
+  };
+
+  // Setters for every per-channel list, keyed like the patch fields
+  const channelSetters = {
+    ratios: setRatios,
+    beatFrequencies: setBeatFrequencies,
+    volumes: setVolumes,
+    muted: setMuted,
+    waveforms: setWaveforms,
+    partials: setPartials,
+    lfoRates: setLfoRates,
+    lfoSyncRatios: setLfoSyncRatios,
+    lfoAmounts: setLfoAmounts,
+    lfoShapes: setLfoShapes,
+    lfoPhases: setLfoPhases,
+    channelPans: setChannelPans,
+    panLfoRates: setPanLfoRates,
+    panLfoAmounts: setPanLfoAmounts,
+    volumeAutomation: setVolumeAutomation,
+  };
+
+  const addChannel = () => {
+    if (ratios.length >= MAX_CHANNELS) return;
+    Object.entries(channelSetters).forEach(([field, setter]) => {
+      setter((prev) => [...prev, NEW_CHANNEL[field]]);
+    });
+    setModulatedVolumes((prev) => [...prev, NEW_CHANNEL.volumes]);
+    setChannelIds((prev) => [...prev, ...createChannelIds(1)]);
+  };
+
+  // The root channel (index 0) can't be removed
+  const removeChannel = (idx) => {
+    if (idx === 0) return;
+    const withoutChannel = (prev) => prev.filter((_, i) => i !== idx);
+    Object.values(channelSetters).forEach((setter) => setter(withoutChannel));
+    setModulatedVolumes(withoutChannel);
+    setChannelIds(withoutChannel);
+    setEditingPartialsIdx(null);
+  };
+
+  const handleWaveformChange = (idx, value) => {
+    const newWaveforms = [...waveforms];
+    newWaveforms[idx] = value;
+    setWaveforms(newWaveforms);
+    // Open the editor straight away when switching to a custom waveform
+    if (value === 'custom') setEditingPartialsIdx(idx);
+    else if (editingPartialsIdx === idx) setEditingPartialsIdx(null);
+  };
+
+  const handlePartialsChange = (idx, value) => {
+    const newPartials = [...partials];
+    newPartials[idx] = value;
+    setPartials(newPartials);
+  };
+
+  const handleRatioChange = (idx, value) => {
+    const newRatios = [...ratios];
+    newRatios[idx] = clampToLimits(value, frequencyLimits.ratios);
+    setRatios(newRatios);
+  };
+
+  const updateTuning = (changes) => {
+    const next = { ...tuning, ...changes };
+    setTuning(next);
+    saveTuning(next);
+  };
+
+  // Typed reference pitches are clamped to the supported range when committed
+  const commitReferenceFreq = (text) => {
+    const value = parseFloat(text);
+    if (!Number.isFinite(value)) return;
+    updateTuning({ referenceFreq: Math.min(REFERENCE_LIMITS.max, Math.max(REFERENCE_LIMITS.min, Math.round(value * 100) / 100)) });
+  };
+
+  // The BPM and root fields show and store values to 3 decimal places
+  const roundFieldValue = (value) => Math.round(value * 1000) / 1000;
+  const formatFieldValue = (value) => String(roundFieldValue(value));
+
+  // Controls showing what their lanes are playing, while the timeline drives them
+  const shownBpm = isLaneFollowed('bpm') ? roundFieldValue(automatedValues.bpm) : bpm;
+  const shownRootFreq = isLaneFollowed('rootFreq') ? roundFieldValue(automatedValues.rootFreq) : rootFreq;
+
+  const commitSnapTolerance = (text) => {
+    const value = parseFloat(text);
+    if (!Number.isFinite(value)) return;
+    updateTuning({ snapTolerance: Math.min(SNAP_TOLERANCE_LIMITS.max, Math.max(SNAP_TOLERANCE_LIMITS.min, Math.round(value))) });
+  };
+
+  const handleBeatFrequencyChange = (idx, value) => {
+    const newBeats = [...beatFrequencies];
+    newBeats[idx] = clampToLimits(value, frequencyLimits.beatFrequencies);
+    setBeatFrequencies(newBeats);
+  };
+
+  // Choosing a band moves the beat to its preset, keeping the channel on its side of the root
+  const handleBandChange = (idx, bandId) => {
+    const band = BRAINWAVE_BANDS.find((b) => b.id === bandId);
+    if (!band) return;
+    handleBeatFrequencyChange(idx, band.preset * (beatFrequencies[idx] < 0 ? -1 : 1));
+  };
+
+  // Switching modes carries the current beats across, so the sound doesn't change
+  const handleBeatModeChange = (mode) => {
+    if (mode === beatMode) return;
+    const quarterHz = bpm / 60;
+    if (mode === 'hz') {
+      setBeatFrequencies(ratios.map((ratio) => quarterHz * ratio));
+    } else {
+      const { min, max } = PATCH_LIMITS.ratios;
+      setRatios(beatFrequencies.map((hz) => Math.min(max, Math.max(min, hz / quarterHz))));
+    }
+    setBeatMode(mode);
+  };
+
   const randomizeVolumes = () => {
     const newVolumes = [...volumes];
-    // Randomize oscillators 1-7 (×1/4 through ×16) with max 75%
-    for (let i = 1; i <= 7; i++) {
-      newVolumes[i] = Math.random() * 0.75;
+    // Randomize every channel except the root, up to unity gain
+    for (let i = 1; i < newVolumes.length; i++) {
+      newVolumes[i] = Math.random() * UNITY_POSITION;
     }
     setVolumes(newVolumes);
   };
@@ -739,6 +2253,39 @@ export default function TonePhase() {
     setLfoAmounts(newAmounts);
   };
 
+  const handleLfoSyncChange = (idx, value) => {
+    const newSyncRatios = [...lfoSyncRatios];
+    newSyncRatios[idx] = value;
+    setLfoSyncRatios(newSyncRatios);
+  };
+
+  // Switch between free-running Hz and tempo sync, keeping the LFO close to its current speed
+  const toggleLfoSync = (idx) => {
+    const beatHz = bpm / 60;
+    if (lfoSyncRatios[idx] > 0) {
+      const newRates = [...lfoRates];
+      newRates[idx] = Math.max(0.002, Math.min(5, beatHz * lfoSyncRatios[idx]));
+      setLfoRates(newRates);
+      handleLfoSyncChange(idx, 0);
+    } else {
+      handleLfoSyncChange(idx, nearestLfoSyncDivision(lfoRates[idx] / beatHz).ratio);
+    }
+  };
+
+  const formatLfoSync = (position) => LFO_SYNC_DIVISIONS[Math.round(position)].label;
+
+  const handleLfoShapeChange = (idx, value) => {
+    const newShapes = [...lfoShapes];
+    newShapes[idx] = value;
+    setLfoShapes(newShapes);
+  };
+
+  const handleLfoPhaseChange = (idx, value) => {
+    const newPhases = [...lfoPhases];
+    newPhases[idx] = Math.round(value);
+    setLfoPhases(newPhases);
+  };
+
   const formatLfoRate = (rate) => {
     // Convert frequency to period (time for one wave)
     const period = 1 / rate; // in seconds
@@ -751,6 +2298,314 @@ export default function TonePhase() {
     return `${Math.round(amount * 100)}%`;
   };
 
+  const formatLfoPhase = (phase) => `${Math.round(phase)}°`;
+
+  // Snapshot of everything a preset stores
+  const getPatch = () => ({
+    bpm,
+    rootFreq,
+    masterVolume,
+    masterPan,
+    stereoMode,
+    beatMode,
+    ratios,
+    beatFrequencies,
+    volumes,
+    muted,
+    waveforms,
+    partials,
+    lfoRates,
+    lfoSyncRatios,
+    lfoAmounts,
+    lfoShapes,
+    lfoPhases,
+    channelPans,
+    panLfoRates,
+    panLfoAmounts,
+    volumeAutomation,
+    automation,
+  });
+
+  // Load a patch, gliding oscillators and levels to their new values instead of jumping
+  // The controls move straight to the recalled values; the audio params glide there (see getRampTime)
+  const applyPatch = (newPatch) => {
+    const patch = createPatch(newPatch);
+    const glideTime = 1.5; // seconds
+
+    patchGlideRef.current = { patch, endTime: Tone.now() + glideTime };
+
+    // A different channel count rebuilds the mixer, so its channels start at the recalled levels
+    const sameChannels = patch.ratios.length === ratios.length;
+    if (!sameChannels) {
+      setChannelIds(createChannelIds(patch.ratios.length));
+      setModulatedVolumes(patch.volumes);
+    }
+
+    setRatios(patch.ratios);
+    setBeatMode(patch.beatMode);
+    setBeatFrequencies(patch.beatFrequencies);
+    setBpm(patch.bpm);
+    setRootFreq(patch.rootFreq);
+    setStereoMode(patch.stereoMode);
+    setMuted(patch.muted);
+    setWaveforms(patch.waveforms);
+    setPartials(patch.partials);
+    setEditingPartialsIdx(null);
+    setLfoRates(patch.lfoRates);
+    setLfoSyncRatios(patch.lfoSyncRatios);
+    setLfoAmounts(patch.lfoAmounts);
+    setLfoShapes(patch.lfoShapes);
+    setLfoPhases(patch.lfoPhases);
+    setPanLfoRates(patch.panLfoRates);
+    setPanLfoAmounts(patch.panLfoAmounts);
+    setVolumeAutomation(patch.volumeAutomation);
+    setAutomation(patch.automation);
+
+    setVolumes(patch.volumes);
+    setChannelPans(patch.channelPans);
+    setMasterVolume(patch.masterVolume);
+    setMasterPan(patch.masterPan);
+  };
+
+  // Describe the current patch for the offline renderer, with the automation lanes played from the timeline's playhead
+  // Master mute is a monitoring control, so it is not applied to exports
+  const getRenderSpec = () => ({
+    rootFreq,
+    bpm,
+    channels: pitchTerms.map((terms, idx) => ({
+      ...terms,
+      waveform: waveforms[idx],
+      partials: partials[idx],
+      volume: volumes[idx],
+      muted: muted[idx],
+      lfoShape: lfoShapes[idx],
+      lfoRate: lfoRates[idx],
+      lfoSyncRatio: lfoSyncRatios[idx],
+      lfoAmount: lfoAmounts[idx],
+      lfoPhase: lfoPhases[idx],
+      pan: getChannelPan(idx),
+      panLfoRate: panLfoRates[idx],
+      panLfoAmount: hasPanLfo(idx) ? panLfoAmounts[idx] : 0,
+    })),
+    master: {
+      volume: masterVolume,
+      pan: masterPan,
+    },
+    automation: {
+      start: getTimelinePosition(),
+      bpm: automation.bpm,
+      rootFreq: automation.rootFreq,
+      masterVolume: automation.masterVolume,
+      volumes: volumeAutomation,
+    },
+  });
+  const hasAutomation = GLOBAL_LANES.some((lane) => automation[lane.id].length > 0)
+    || volumeAutomation.some((points) => points.length > 0);
+
+  // Copy a link that reopens the current patch, and show it in the address bar too
+  const handleCopyLink = async () => {
+    const url = buildShareUrl(getPatch());
+    window.history.replaceState(null, '', url);
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 1500);
+    } catch {
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  const handleDownloadPatch = () => {
+    const blob = new Blob([serializePatchFile(getPatch())], { type: 'application/json' });
+    downloadBlob(blob, `${getExportBaseName()}.json`);
+  };
+
+  const importPatchFile = async (file) => {
+    try {
+      const { patch, name } = parsePatchFile(await file.text());
+      applyPatch(patch);
+      setNotice({ text: `Loaded patch ${name ? `"${name}"` : `from ${file.name}`}.`, details: [], isError: false });
+    } catch (err) {
+      setNotice({ text: `Could not import ${file.name}: ${err.message}.`, details: err.details || [], isError: true });
+    }
+  };
+
+  // Scala scales (.scl) and keyboard mappings (.kbm); a new scale drops the old scale's mapping
+  // The files are checked by building their note table before the tuning switches to them
+  const importScalaFile = async (file) => {
+    const isKeyboardMap = /\.kbm$/i.test(file.name);
+    if (isKeyboardMap && !tuning.scala) {
+      setNotice({ text: `Load a .scl scale before the keyboard mapping ${file.name}.`, details: [], isError: true });
+      return;
+    }
+    try {
+      const text = await file.text();
+      const scala = isKeyboardMap
+        ? { ...tuning.scala, kbmName: file.name, kbmText: text }
+        : { sclName: file.name, sclText: text, kbmName: null, kbmText: null };
+      buildNoteTable({ ...tuning, scala });
+      const { scale } = parseScala(scala);
+      updateTuning({ scala: { ...scala, description: scale.description, size: scale.pitches.length } });
+      setNotice({
+        text: isKeyboardMap
+          ? `Mapped the scale to the keyboard with ${file.name}.`
+          : `Loaded the ${scale.pitches.length}-note scale ${scale.description ? `"${scale.description}"` : `from ${file.name}`}.`,
+        details: [],
+        isError: false,
+      });
+    } catch (err) {
+      setNotice({ text: `Could not load ${file.name}: ${err.message}.`, details: err.details || [], isError: true });
+    }
+  };
+
+  // Patch files can be dropped anywhere on the page
+  const isFileDrag = (e) => Array.from(e.dataTransfer.types).includes('Files');
+
+  const handlePageDragOver = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setIsDraggingFile(true);
+  };
+
+  const handlePageDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setIsDraggingFile(false);
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    if (/\.(scl|kbm)$/i.test(file.name)) importScalaFile(file);
+    else if (file.type.startsWith('audio/')) {
+      setNotice({ text: `Drop ${file.name} on the BPM control to detect its tempo, or on Root Frequency to detect its pitch.`, details: [], isError: false });
+    } else importPatchFile(file);
+  };
+
+  // Show a file analysis's outcome only if that analysis is still the one on show:
+  // a newer file replaces it, and dismissing it drops whatever it was still working on
+  const updateDetection = (setDetection, request, detection) => {
+    setDetection((current) => (current && current.request === request ? { ...current, ...detection } : current));
+  };
+
+  // Estimate the fundamental of an audio file; the result waits for the user to apply it
+  const detectRootFromFile = async (file) => {
+    const request = ++pitchRequestRef.current;
+    setPitchDetection({ request, fileName: file.name, status: 'analyzing' });
+    let buffer;
+    try {
+      buffer = await Tone.getContext().decodeAudioData(await file.arrayBuffer());
+    } catch {
+      updateDetection(setPitchDetection, request, { status: 'error', message: 'The file could not be decoded as audio' });
+      return;
+    }
+    // Let the "analyzing" state paint before the analysis blocks the page
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    if (pitchRequestRef.current !== request) return;
+    try {
+      const result = detectPitch(buffer, PATCH_LIMITS.rootFreq);
+      updateDetection(setPitchDetection, request, result
+        ? { status: 'done', ...result }
+        : { status: 'error', message: `No steady pitch between ${PATCH_LIMITS.rootFreq.min} and ${PATCH_LIMITS.rootFreq.max} Hz` });
+    } catch (err) {
+      updateDetection(setPitchDetection, request, { status: 'error', message: `The pitch analysis failed (${err.message})` });
+    }
+  };
+
+  // Estimate the tempo of a track; the detected tempo and its half- and double-time readings are offered to apply
+  const detectTempoFromFile = async (file) => {
+    const request = ++tempoRequestRef.current;
+    setTempoDetection({ request, fileName: file.name, status: 'analyzing' });
+    let buffer;
+    try {
+      buffer = await Tone.getContext().decodeAudioData(await file.arrayBuffer());
+    } catch {
+      updateDetection(setTempoDetection, request, { status: 'error', message: 'The file could not be decoded as audio' });
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    if (tempoRequestRef.current !== request) return;
+    try {
+      const result = detectTempo(buffer, PATCH_LIMITS.bpm);
+      updateDetection(setTempoDetection, request, result
+        ? { status: 'done', ...result }
+        : { status: 'error', message: 'No steady beat found' });
+    } catch (err) {
+      updateDetection(setTempoDetection, request, { status: 'error', message: `The tempo analysis failed (${err.message})` });
+    }
+  };
+
+  // Audio files dropped on the BPM or root control go to that control's detector instead of the page
+  const handleAudioDrop = (detect) => (e) => {
+    const file = isFileDrag(e) && e.dataTransfer.files[0];
+    if (!file || !file.type.startsWith('audio/')) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDraggingFile(false);
+    detect(file);
+  };
+
+  const getExportBaseName = () => `cosine-cartographer-${Math.round(rootFreq * 100) / 100}Hz-${bpm}bpm`;
+
+  // File-name friendly channel name, e.g. "06-1-16" for a sixteenth-note channel
+  const getStemName = (idx) => {
+    const label = getOscillatorLabel(idx).replace(/\//g, '-').replace(/×/g, 'x').replace(/−/g, 'minus');
+    return `${String(idx + 1).padStart(2, '0')}-${label.toLowerCase()}`;
+  };
+
+  // Render the mixdown plus one file per channel (and optionally the click) into a ZIP
+  // Every channel gets a stem, even at zero, so the bundle always lines up with the mixer
+  const exportStemBundle = async (spec, options) => {
+    const baseName = getExportBaseName();
+    const toFile = async (name, audioBuffer) => ({
+      name: `${baseName}/${name}.wav`,
+      data: new Uint8Array(await encodeWav(audioBuffer, exportBitDepth).arrayBuffer()),
+    });
+
+    // Check the whole bundle fits in a ZIP before spending minutes rendering it
+    const fileCount = 1 + spec.channels.length + (exportClick ? 1 : 0);
+    const fileSize = wavFileSize(Math.ceil(options.duration * options.sampleRate), 2, exportBitDepth);
+    const bundleSize = fileCount * (fileSize + ZIP_OVERHEAD_PER_FILE) + ZIP_END_SIZE;
+    if (bundleSize > MAX_ZIP_SIZE) {
+      const maxDuration = Math.floor((options.duration * MAX_ZIP_SIZE) / bundleSize);
+      throw new Error(`${fileCount} files would come to ${(bundleSize / 1e9).toFixed(1)} GB, over the 4 GB a ZIP can hold; `
+        + `export ${maxDuration}s or less, or lower the sample rate or bit depth`);
+    }
+
+    const files = [await toFile('mixdown', await renderPatch(spec, options))];
+
+    for (let idx = 0; idx < spec.channels.length; idx++) {
+      setExportStatus(`Rendering stem ${idx + 1} of ${spec.channels.length}…`);
+      files.push(await toFile(getStemName(idx), await renderChannelStem(spec, idx, options)));
+    }
+
+    if (exportClick) {
+      setExportStatus('Rendering click…');
+      files.push(await toFile('click', await renderClickStem(spec, options)));
+    }
+
+    downloadBlob(createZip(files), `${baseName}.zip`);
+    return files.length;
+  };
+
+  const handleExportAudio = async () => {
+    const duration = Math.max(1, Math.min(600, exportDuration || 0));
+    const options = { duration, sampleRate: exportSampleRate };
+    setIsExporting(true);
+    setExportStatus('Rendering…');
+    try {
+      if (exportStems) {
+        const fileCount = await exportStemBundle(getRenderSpec(), options);
+        setExportStatus(`Exported ${fileCount} files, ${duration}s at ${exportSampleRate / 1000} kHz`);
+        return;
+      }
+      const audioBuffer = await renderPatch(getRenderSpec(), options);
+      downloadBlob(encodeWav(audioBuffer, exportBitDepth), `${getExportBaseName()}.wav`);
+      setExportStatus(`Exported ${duration}s at ${exportSampleRate / 1000} kHz`);
+    } catch (err) {
+      setExportStatus(`Export failed: ${err.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   const handleTapTempo = () => {
     const now = Date.now();
     const taps = tapTimesRef.current;
@@ -780,26 +2635,57 @@ export default function TonePhase() {
       const calculatedBpm = Math.round(60000 / avgInterval);
 
       // Clamp to valid range
-      const clampedBpm = Math.max(1, Math.min(300, calculatedBpm));
+      const clampedBpm = clampToLimits(calculatedBpm, frequencyLimits.bpm);
       setBpm(clampedBpm);
     }
   };
 
+  // Musical note naming: whole=1, half=1/2, quarter=1/4, with T for triplets and D for dotted notes
   const getOscillatorLabel = (idx) => {
     if (idx === 0) return 'Root';
-    const ratio = beatRatios[idx];
-    // Musical note naming: whole=1, half=1/2, quarter=1/4, etc.
-    const noteLabels = {
-      0.25: '1',      // whole note (4 beats)
-      0.5: '1/2',     // half note (2 beats)
-      1: '1/4',       // quarter note (1 beat)
-      2: '1/8',       // eighth note (1/2 beat)
-      4: '1/16',      // sixteenth note (1/4 beat)
-      8: '1/32',      // thirty-second note
-      16: '1/64',     // sixty-fourth note
-    };
-    return noteLabels[ratio] || `×${ratio}`;
+    if (beatMode === 'hz') return `${formatBeat(beatFrequencies[idx], 'hz')} Hz`;
+    return getRatioLabel(ratios[idx]);
+  };
+
+  // The lanes in the editor's picker: patch-wide parameters, then each channel's volume
+  const automationLanes = [
+    ...GLOBAL_LANES.map((lane) => ({ ...lane, points: automation[lane.id], limits: PATCH_LIMITS[lane.id] })),
+    ...volumeAutomation.map((points, idx) => ({
+      id: `volume-${idx}`,
+      label: `${getOscillatorLabel(idx)} Volume`,
+      scale: 'linear',
+      step: 0.01,
+      points,
+      limits: PATCH_LIMITS.volumes,
+    })),
+  ];
+  const editedLane = automationLanes.find((lane) => lane.id === automationLaneId) || automationLanes[0];
+
+  // Time, and the edited lane's value there
+  const formatTimelineReadout = (position) => {
+    const time = `${formatTimelineTime(position)} / ${formatTimelineTime(automation.length)}`;
+    if (editedLane.points.length === 0) return time;
+    return `${time} · ${formatLaneValue(editedLane.id, Number(laneValueAt(editedLane.points, position).toFixed(2)))}`;
   };
+  const displayedTimelinePosition = getTimelinePosition();
+
+  // Move the playheads and the readout every frame while the timeline plays, without going through React state
+  useEffect(() => {
+    if (!isTimelinePlaying) return;
+
+    let frame;
+    const draw = () => {
+      const position = getTimelinePosition();
+      timelinePlayheadsRef.current.forEach((element) => {
+        element.style.left = `${(position / automation.length) * 100}%`;
+      });
+      if (timelineReadoutRef.current) timelineReadoutRef.current.textContent = formatTimelineReadout(position);
+      frame = requestAnimationFrame(draw);
+    };
+    draw();
+
+    return () => cancelAnimationFrame(frame);
+  }, [isTimelinePlaying, automation, editedLane.id, editedLane.points]);
 
   // SVG components for musical notes - consistent styling across all browsers
   const noteStyle = { verticalAlign: 'middle', display: 'inline-block' };
@@ -851,31 +2737,48 @@ export default function TonePhase() {
     </svg>
   );
 
+  const noteComponents = {
+    whole: <WholeNote />,
+    half: <HalfNote />,
+    quarter: <QuarterNote />,
+    eighth: <EighthNote />,
+    sixteenth: <SixteenthNote />,
+    thirtySecond: <ThirtySecondNote />,
+  };
+
   const getNoteSymbol = (idx) => {
     if (idx === 0) return null; // No symbol for Root
-    const ratio = beatRatios[idx];
-
-    const noteData = {
-      0.25: { component: <WholeNote />, name: 'Whole note' },
-      0.5: { component: <HalfNote />, name: 'Half note' },
-      1: { component: <QuarterNote />, name: 'Quarter note' },
-      2: { component: <EighthNote />, name: 'Eighth note' },
-      4: { component: <SixteenthNote />, name: 'Sixteenth note' },
-      8: { component: <ThirtySecondNote />, name: 'Thirty-second note' },
-      16: { component: <ThirtySecondNote />, name: 'Sixty-fourth note' },
-    };
-
-    const data = noteData[ratio];
-    if (!data) return null;
-
-    return <span title={data.name}>{data.component}</span>;
+    // Brainwave beats are marked with their band instead of a note
+    if (beatMode === 'hz') {
+      const band = findBand(beatFrequencies[idx]);
+      if (!band) return null;
+      return <span title={`${band.label}: ${band.description}`}>{band.symbol}</span>;
+    }
+    const ratio = ratios[idx];
+    const division = findDivision(ratio);
+    if (!division) return null;
+
+    const title = ratio < 0 ? `${division.name} (below root)` : division.name;
+
+    return (
+      <span title={title} style={{ display: 'inline-flex', alignItems: 'flex-start' }}>
+        {ratio < 0 && <span style={{ fontSize: '0.7rem', marginRight: '1px' }}>−</span>}
+        {noteComponents[division.symbol]}
+        {division.kind === 'dotted' && <span style={{ fontSize: '0.7rem', alignSelf: 'flex-end', marginLeft: '1px' }}>•</span>}
+        {division.kind === 'triplet' && <span style={{ fontSize: '0.5rem', marginLeft: '1px' }}>3</span>}
+      </span>
+    );
   };
 
   const getBeatFrequency = (idx) => {
     if (idx === 0) return 0;
-    return (bpm / 60) * beatRatios[idx];
+    if (beatMode === 'hz') return beatFrequencies[idx];
+    return (bpm / 60) * ratios[idx];
   };
 
+  // Slow beats need an extra decimal place to be readable
+  const getFrequencyDecimals = (idx) => (Math.abs(getBeatFrequency(idx)) < 1.5 && idx > 0 ? 2 : 1);
+
   const styles = {
     container: {
       minHeight: '100vh',
@@ -990,10 +2893,17 @@ export default function TonePhase() {
       color: '#9ca3af',
       marginTop: '0.25rem',
     },
+    mixerScroller: {
+      // Span the whole window so wide channel tables scroll instead of spilling off-screen
+      width: '100vw',
+      marginLeft: 'calc(50% - 50vw)',
+      overflowX: 'auto',
+      paddingBottom: '0.5rem',
+    },
     mixerContainer: {
       display: 'flex',
       gap: '0.25rem',
-      justifyContent: 'center',
+      justifyContent: 'safe center',
       alignItems: 'flex-start',
       flexWrap: 'nowrap',
     },
@@ -1043,15 +2953,6 @@ export default function TonePhase() {
       justifyContent: 'center',
       gap: '0.25rem',
     },
-    dbScale: {
-      display: 'flex',
-      flexDirection: 'column',
-      justifyContent: 'space-between',
-      height: '200px',
-      fontSize: '0.5rem',
-      color: '#6b7280',
-      lineHeight: '1',
-    },
     faderLabel: {
       fontSize: '1rem',
       fontWeight: '600',
@@ -1091,8 +2992,36 @@ export default function TonePhase() {
     },
     oscillatorContent: {
       display: 'flex',
-      alignItems: 'center',
-      gap: '0.75rem',
+      alignItems: 'center',
+      gap: '0.75rem',
+    },
+    limiterPanel: {
+      display: 'flex',
+      flexDirection: 'column',
+      justifyContent: 'space-between',
+      width: '100%',
+      height: '85px',
+      marginBottom: '6px',
+      padding: '4px',
+      boxSizing: 'border-box',
+      background: 'rgba(0, 0, 0, 0.3)',
+      borderRadius: '4px',
+      fontSize: '0.55rem',
+      color: '#9ca3af',
+    },
+    limiterTitle: {
+      fontWeight: '600',
+      color: '#f3f4f6',
+      textAlign: 'center',
+      textTransform: 'uppercase',
+    },
+    limiterRow: {
+      display: 'flex',
+      justifyContent: 'space-between',
+    },
+    limiterValue: {
+      fontFamily: 'monospace',
+      color: '#d1d5db',
     },
     muteButton: {
       width: '100%',
@@ -1144,6 +3073,151 @@ export default function TonePhase() {
       fontSize: '0.75rem',
       color: '#9ca3af',
     },
+    modeRow: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '0.5rem',
+      marginTop: '0.75rem',
+    },
+    modeButton: {
+      padding: '0.35rem 0.75rem',
+      borderRadius: '0.375rem',
+      border: 'none',
+      cursor: 'pointer',
+      fontSize: '0.8rem',
+      fontWeight: '600',
+      color: 'white',
+      transition: 'background 0.2s',
+    },
+    headphoneWarning: {
+      flex: 1,
+      fontSize: '0.75rem',
+      color: '#fbbf24',
+      textAlign: 'left',
+    },
+    exportRow: {
+      display: 'flex',
+      alignItems: 'flex-end',
+      gap: '0.75rem',
+      flexWrap: 'wrap',
+    },
+    exportField: {
+      display: 'flex',
+      flexDirection: 'column',
+      textAlign: 'left',
+      fontSize: '0.75rem',
+      color: '#9ca3af',
+      gap: '0.25rem',
+    },
+    exportInput: {
+      background: '#1a1a1a',
+      border: '1px solid #404040',
+      borderRadius: '0.375rem',
+      padding: '0.35rem 0.5rem',
+      color: 'white',
+      fontSize: '0.875rem',
+    },
+    exportStatus: {
+      fontSize: '0.75rem',
+      color: '#9ca3af',
+      alignSelf: 'center',
+    },
+    notice: {
+      display: 'flex',
+      alignItems: 'flex-start',
+      justifyContent: 'space-between',
+      gap: '1rem',
+      background: 'rgba(120, 53, 15, 0.6)',
+      border: '1px solid #b45309',
+      borderRadius: '0.5rem',
+      padding: '0.5rem 1rem',
+      marginBottom: '1rem',
+      fontSize: '0.875rem',
+      color: '#fde68a',
+      textAlign: 'left',
+    },
+    noticeInfo: {
+      background: 'rgba(22, 78, 99, 0.6)',
+      border: '1px solid #0891b2',
+      color: '#a5f3fc',
+    },
+    detectionResult: {
+      display: 'flex',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      gap: '0.5rem',
+      marginTop: '0.5rem',
+      fontSize: '0.75rem',
+      color: '#d1d5db',
+      textAlign: 'left',
+    },
+    dropOverlay: {
+      position: 'fixed',
+      inset: 0,
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      background: 'rgba(0, 0, 0, 0.7)',
+      border: '3px dashed #22d3ee',
+      color: '#22d3ee',
+      fontSize: '1.5rem',
+      fontWeight: '600',
+      zIndex: 10,
+      pointerEvents: 'none',
+    },
+    cardHeader: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+    },
+    channelTable: {
+      width: '100%',
+      borderCollapse: 'collapse',
+      fontSize: '0.8rem',
+      color: '#d1d5db',
+      marginTop: '0.5rem',
+    },
+    channelCell: {
+      padding: '0.25rem 0.5rem',
+      borderTop: '1px solid #2a2a2a',
+      textAlign: 'left',
+    },
+    channelHeaderCell: {
+      padding: '0.25rem 0.5rem',
+      textAlign: 'left',
+      fontSize: '0.7rem',
+      fontWeight: '500',
+      color: '#9ca3af',
+      textTransform: 'uppercase',
+    },
+    channelInput: {
+      width: '5rem',
+      background: '#1a1a1a',
+      border: '1px solid #404040',
+      borderColor: '#404040',
+      borderRadius: '0.25rem',
+      padding: '0.2rem 0.4rem',
+      color: 'white',
+      fontSize: '0.8rem',
+    },
+    waveformRow: {
+      display: 'flex',
+      gap: '2px',
+      width: '100%',
+      marginTop: '2px',
+      marginBottom: '0.35rem',
+    },
+    stripSelect: {
+      height: '17px',
+      minWidth: 0,
+      background: '#1a1a1a',
+      border: '1px solid #374151',
+      borderRadius: '0.2rem',
+      color: '#d1d5db',
+      fontSize: '0.55rem',
+      fontWeight: '600',
+      padding: '0.1rem',
+    },
     footer: {
       marginTop: '0.5rem',
       textAlign: 'center',
@@ -1153,25 +3227,72 @@ export default function TonePhase() {
   };
 
   return (
-    <div style={styles.container} onMouseDown={initAudio}>
+    <div
+      style={styles.container}
+      onMouseDown={initAudio}
+      onDragOver={handlePageDragOver}
+      onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setIsDraggingFile(false); }}
+      onDrop={handlePageDrop}
+    >
+      {isDraggingFile && <div style={styles.dropOverlay}>Drop a patch file (.json) or a Scala tuning (.scl, .kbm) to load it</div>}
       <div style={styles.maxWidth}>
         <div style={styles.header}>
           <h1 style={styles.title}>Binaural Beat Explorer</h1>
           <p style={styles.subtitle}>Explore the world of binaural beats</p>
         </div>
 
+        {notice && (
+          <div style={{ ...styles.notice, ...(notice.isError ? {} : styles.noticeInfo) }} role={notice.isError ? 'alert' : 'status'}>
+            <div>
+              {notice.isError ? '⚠️' : 'ℹ️'} {notice.text}
+              {notice.details.length > 0 && (
+                <ul style={{ margin: '0.25rem 0 0', paddingLeft: '1.25rem' }}>
+                  {notice.details.map((detail) => <li key={detail}>{detail}</li>)}
+                </ul>
+              )}
+            </div>
+            <button
+              onClick={() => setNotice(null)}
+              style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', fontSize: '1rem' }}
+              title="Dismiss"
+            >
+              ✕
+            </button>
+          </div>
+        )}
+
         <div style={styles.card}>
           <div style={styles.inputGrid}>
-            <div style={styles.inputGroup}>
-              <label style={styles.label}>BPM (Beats Per Minute)</label>
-              <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <div style={styles.inputGroup} onDrop={handleAudioDrop(detectTempoFromFile)}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+                <label style={styles.label}>BPM (Beats Per Minute)</label>
+                <button
+                  onClick={() => tempoFileInputRef.current.click()}
+                  style={{ background: 'none', border: 'none', padding: 0, color: '#22d3ee', cursor: 'pointer', fontSize: '0.75rem' }}
+                  title="Match the tempo of a track (or drop an audio file here)"
+                >
+                  🥁 Detect from file
+                </button>
                 <input
-                  type="number"
-                  value={bpm}
-                  onChange={(e) => setBpm(parseFloat(e.target.value) || 0)}
-                  style={{ ...styles.input, flex: 1 }}
-                  min="1"
-                  max="300"
+                  ref={tempoFileInputRef}
+                  type="file"
+                  accept="audio/*"
+                  style={{ display: 'none' }}
+                  onChange={(e) => {
+                    if (e.target.files[0]) detectTempoFromFile(e.target.files[0]);
+                    e.target.value = '';
+                  }}
+                />
+              </div>
+              <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-start' }}>
+                <ExpressionField
+                  value={shownBpm}
+                  format={formatFieldValue}
+                  evaluate={(text) => evaluateExpression(text, { ...frequencyLimits.bpm, unit: ' BPM' })}
+                  onCommit={(value) => setBpm(roundFieldValue(value))}
+                  style={styles.input}
+                  containerStyle={{ flex: 1 }}
+                  title="A tempo or an expression, e.g. 90 or 127*2/3"
                 />
                 <button
                   onClick={handleTapTempo}
@@ -1190,28 +3311,88 @@ export default function TonePhase() {
               <input
                 type="range"
                 min="1"
-                max="300"
+                max={frequencyLimits.bpm.max}
                 step="1"
-                value={bpm}
+                value={shownBpm}
                 onChange={(e) => setBpm(parseFloat(e.target.value))}
                 style={{ ...styles.range, marginTop: '0.5rem' }}
               />
+              {tempoDetection && (
+                <div style={styles.detectionResult}>
+                  <span style={{ flex: 1 }}>
+                    {tempoDetection.status === 'analyzing' && `Analyzing ${tempoDetection.fileName}…`}
+                    {tempoDetection.status === 'error' && `${tempoDetection.fileName}: ${tempoDetection.message}.`}
+                    {tempoDetection.status === 'done' && (
+                      <>
+                        {tempoDetection.fileName}: <strong>{tempoDetection.bpm.toFixed(1)} BPM</strong>,
+                        {' '}{Math.round(tempoDetection.confidence * 100)}% confidence
+                      </>
+                    )}
+                  </span>
+                  {tempoDetection.status === 'done' && tempoDetection.candidates.map((candidate) => (
+                    <button
+                      key={candidate.label}
+                      onClick={() => {
+                        setBpm(clampToLimits(Math.round(candidate.bpm * 10) / 10, frequencyLimits.bpm));
+                        setTempoDetection(null);
+                      }}
+                      style={{
+                        ...styles.modeButton,
+                        background: candidate.label === 'Detected'
+                          ? 'linear-gradient(to right, #22d3ee, #0891b2)'
+                          : 'linear-gradient(to right, #525252, #404040)',
+                      }}
+                      title={`${candidate.label}: ${Math.round(candidate.score * 100)}% match; click to apply`}
+                    >
+                      {candidate.label === 'Detected' ? 'Apply' : `${candidate.bpm.toFixed(1)} (${candidate.label.toLowerCase()})`}
+                    </button>
+                  ))}
+                  <button
+                    onClick={() => setTempoDetection(null)}
+                    style={{ background: 'none', border: 'none', color: '#9ca3af', cursor: 'pointer', fontSize: '0.9rem' }}
+                    title="Dismiss"
+                  >
+                    ✕
+                  </button>
+                </div>
+              )}
             </div>
 
-            <div style={styles.inputGroup}>
-              <label style={styles.label}>Root Frequency (Hz)</label>
-              <div style={{ position: 'relative' }}>
+            <div style={styles.inputGroup} onDrop={handleAudioDrop(detectRootFromFile)}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+                <label style={styles.label}>Root Frequency (Hz)</label>
+                <button
+                  onClick={() => pitchFileInputRef.current.click()}
+                  style={{ background: 'none', border: 'none', padding: 0, color: '#22d3ee', cursor: 'pointer', fontSize: '0.75rem' }}
+                  title="Set the root from the pitch of a recording (or drop an audio file here)"
+                >
+                  🎵 Detect from file
+                </button>
                 <input
-                  type="number"
-                  value={Math.round(rootFreq * 1000) / 1000}
-                  onChange={(e) => setRootFreq(Math.round((parseFloat(e.target.value) || 0) * 1000) / 1000)}
-                  style={styles.input}
-                  min="20"
-                  max="2000"
-                  step="0.001"
+                  ref={pitchFileInputRef}
+                  type="file"
+                  accept="audio/*"
+                  style={{ display: 'none' }}
+                  onChange={(e) => {
+                    if (e.target.files[0]) detectRootFromFile(e.target.files[0]);
+                    e.target.value = '';
+                  }}
                 />
+              </div>
+              <ExpressionField
+                value={shownRootFreq}
+                format={formatFieldValue}
+                evaluate={(text) => evaluateExpression(text, {
+                  resolveNote: (name) => resolveNoteName(noteTable, name),
+                  ...frequencyLimits.rootFreq,
+                  unit: ' Hz',
+                })}
+                onCommit={(value) => setRootFreq(roundFieldValue(value))}
+                style={styles.input}
+                title="A frequency, note or expression, e.g. 136.1, A#3, Eb4 +12c, 440*3/2 or C4 * 2^(7/12)"
+              >
                 {(() => {
-                  const note = getNearestNote(rootFreq);
+                  const note = getNearestNote(noteTable, shownRootFreq);
                   const centsDisplay = note.cents === 0 ? '' : note.cents > 0 ? ` +${note.cents}¢` : ` ${note.cents}¢`;
                   return (
                     <span style={{
@@ -1228,19 +3409,57 @@ export default function TonePhase() {
                     </span>
                   );
                 })()}
-              </div>
+              </ExpressionField>
               <input
                 type="range"
-                min="20"
+                min={frequencyLimits.rootFreq.min}
                 max="2000"
                 step="0.1"
-                value={rootFreq}
+                value={shownRootFreq}
                 onChange={(e) => {
                   const newFreq = parseFloat(e.target.value);
-                  setRootFreq(snapToNote(newFreq, 8));
+                  const freq = tuning.snapEnabled ? snapToNote(snapTable, newFreq, tuning.snapTolerance) : Math.round(newFreq * 1000) / 1000;
+                  setRootFreq(clampToLimits(freq, frequencyLimits.rootFreq));
                 }}
                 style={{ ...styles.range, marginTop: '0.5rem' }}
               />
+              {pitchDetection && (
+                <div style={styles.detectionResult}>
+                  <span style={{ flex: 1 }}>
+                    {pitchDetection.status === 'analyzing' && `Analyzing ${pitchDetection.fileName}…`}
+                    {pitchDetection.status === 'error' && `${pitchDetection.fileName}: ${pitchDetection.message}.`}
+                    {pitchDetection.status === 'done' && (() => {
+                      const note = getNearestNote(noteTable, pitchDetection.freq);
+                      return (
+                        <>
+                          {pitchDetection.fileName}: <strong>{pitchDetection.freq.toFixed(2)} Hz</strong>
+                          {' '}({note.name}{note.cents === 0 ? '' : ` ${note.cents > 0 ? '+' : ''}${note.cents}¢`}),
+                          {' '}{Math.round(pitchDetection.confidence * 100)}% confidence
+                        </>
+                      );
+                    })()}
+                  </span>
+                  {pitchDetection.status === 'done' && (
+                    <button
+                      onClick={() => {
+                        setRootFreq(clampToLimits(roundFieldValue(pitchDetection.freq), frequencyLimits.rootFreq));
+                        setPitchDetection(null);
+                      }}
+                      style={{ ...styles.modeButton, background: 'linear-gradient(to right, #22d3ee, #0891b2)' }}
+                      title={pitchDetection.confidence < 0.5 ? 'Low confidence: the file may not have a single clear pitch' : 'Use this as the root frequency'}
+                    >
+                      Apply
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setPitchDetection(null)}
+                    style={{ background: 'none', border: 'none', color: '#9ca3af', cursor: 'pointer', fontSize: '0.9rem' }}
+                    title="Dismiss"
+                  >
+                    ✕
+                  </button>
+                </div>
+              )}
             </div>
           </div>
 
@@ -1292,44 +3511,708 @@ export default function TonePhase() {
               🎵 Metronome
             </button>
           </div>
+
+          <div style={styles.modeRow}>
+            <span style={{ ...styles.label, marginBottom: 0 }}>Output</span>
+            {STEREO_MODES.map((mode) => (
+              <button
+                key={mode.id}
+                onClick={() => setStereoMode(mode.id)}
+                style={{
+                  ...styles.modeButton,
+                  background: stereoMode === mode.id
+                    ? 'linear-gradient(to right, #22d3ee, #0891b2)'
+                    : 'linear-gradient(to right, #525252, #404040)',
+                }}
+                title={mode.title}
+              >
+                {mode.label}
+              </button>
+            ))}
+            {stereoMode !== 'monaural' && (
+              <span style={styles.headphoneWarning}>
+                🎧 Use headphones: binaural beats only form when each ear hears its own tone.
+              </span>
+            )}
+          </div>
         </div>
 
         <div style={styles.card}>
-          <label style={styles.label}>Oscilloscope</label>
-          <canvas
-            ref={canvasRef}
-            width={800}
-            height={156}
-            style={styles.canvas}
-          />
+          <div style={styles.cardHeader}>
+            <label style={styles.label}>Tuning</label>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <button
+                onClick={() => scalaFileInputRef.current.click()}
+                style={{ ...styles.modeButton, background: 'linear-gradient(to right, #525252, #404040)' }}
+                title="Snap the root to a Scala scale (.scl), then optionally load its keyboard mapping (.kbm)"
+              >
+                ⬆ Scala File
+              </button>
+              <input
+                ref={scalaFileInputRef}
+                type="file"
+                accept=".scl,.kbm"
+                style={{ display: 'none' }}
+                onChange={(e) => {
+                  if (e.target.files[0]) importScalaFile(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+              {tuning.scala && (
+                <button
+                  onClick={() => updateTuning({ scala: null })}
+                  style={{ ...styles.modeButton, background: 'linear-gradient(to right, #525252, #404040)' }}
+                  title="Go back to the temperament below"
+                >
+                  ✕ Clear Scale
+                </button>
+              )}
+            </div>
+          </div>
+          <div style={{ ...styles.exportRow, marginTop: '0.5rem' }}>
+            <label style={styles.exportField}>
+              Reference
+              <select
+                value={REFERENCE_PITCHES.some((pitch) => pitch.freq === tuning.referenceFreq) ? tuning.referenceFreq : 'custom'}
+                onChange={(e) => {
+                  if (e.target.value !== 'custom') updateTuning({ referenceFreq: parseFloat(e.target.value) });
+                }}
+                style={styles.exportInput}
+              >
+                {REFERENCE_PITCHES.map((pitch) => (
+                  <option key={pitch.freq} value={pitch.freq}>{pitch.label}</option>
+                ))}
+                <option value="custom">Custom</option>
+              </select>
+            </label>
+            <label style={styles.exportField}>
+              A4 (Hz)
+              <input
+                key={tuning.referenceFreq}
+                type="number"
+                defaultValue={tuning.referenceFreq}
+                onBlur={(e) => commitReferenceFreq(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') commitReferenceFreq(e.target.value); }}
+                style={{ ...styles.exportInput, width: '5rem' }}
+                min={REFERENCE_LIMITS.min}
+                max={REFERENCE_LIMITS.max}
+                step="0.01"
+              />
+            </label>
+            <label style={styles.exportField}>
+              Temperament
+              <select
+                value={tuning.temperament}
+                onChange={(e) => updateTuning({ temperament: e.target.value })}
+                disabled={Boolean(tuning.scala)}
+                style={{ ...styles.exportInput, opacity: tuning.scala ? 0.4 : 1 }}
+              >
+                {TEMPERAMENTS.map((temperament) => (
+                  <option key={temperament.id} value={temperament.id}>{temperament.label}</option>
+                ))}
+              </select>
+            </label>
+            <label style={styles.exportField}>
+              Key
+              <select
+                value={tuning.key}
+                onChange={(e) => updateTuning({ key: parseInt(e.target.value, 10) })}
+                disabled={tuning.temperament === 'equal' || Boolean(tuning.scala)}
+                style={{ ...styles.exportInput, opacity: tuning.temperament === 'equal' || tuning.scala ? 0.4 : 1 }}
+                title={tuning.temperament === 'equal' ? 'Equal temperament sounds the same in every key' : 'The key the temperament is tuned to'}
+              >
+                {NOTE_NAMES.map((name, pitchClass) => (
+                  <option key={name} value={pitchClass}>{name}</option>
+                ))}
+              </select>
+            </label>
+            <span style={styles.exportStatus}>
+              {tuning.scala
+                ? `Scala: ${tuning.scala.description || tuning.scala.sclName} (${tuning.scala.size} notes${tuning.scala.kbmName ? `, mapped by ${tuning.scala.kbmName}` : ', degree 0 on C4'})`
+                : findTemperament(tuning.temperament).description}
+            </span>
+          </div>
+          <div style={{ ...styles.exportRow, marginTop: '0.75rem' }}>
+            <button
+              onClick={() => updateTuning({ snapEnabled: !tuning.snapEnabled })}
+              style={{
+                ...styles.modeButton,
+                background: tuning.snapEnabled
+                  ? 'linear-gradient(to right, #22d3ee, #0891b2)'
+                  : 'linear-gradient(to right, #525252, #404040)',
+              }}
+              title="Snap the root frequency slider to nearby notes"
+            >
+              🧲 Snap {tuning.snapEnabled ? 'On' : 'Off'}
+            </button>
+            <label style={{ ...styles.exportField, opacity: tuning.snapEnabled ? 1 : 0.4 }}>
+              Tolerance (¢)
+              <input
+                key={tuning.snapTolerance}
+                type="number"
+                defaultValue={tuning.snapTolerance}
+                onBlur={(e) => commitSnapTolerance(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') commitSnapTolerance(e.target.value); }}
+                disabled={!tuning.snapEnabled}
+                style={{ ...styles.exportInput, width: '4rem' }}
+                min={SNAP_TOLERANCE_LIMITS.min}
+                max={SNAP_TOLERANCE_LIMITS.max}
+                title="How close, in cents, the slider must come to a note before it snaps (100¢ = 1 semitone)"
+              />
+            </label>
+            <label style={{ ...styles.exportField, opacity: tuning.snapEnabled && !tuning.scala ? 1 : 0.4 }}>
+              Snap to
+              <div style={{ display: 'flex', gap: '0.25rem' }}>
+                <select
+                  value={tuning.snapRoot}
+                  onChange={(e) => updateTuning({ snapRoot: parseInt(e.target.value, 10) })}
+                  disabled={!tuning.snapEnabled || Boolean(tuning.scala) || tuning.snapScale === 'chromatic'}
+                  style={styles.exportInput}
+                >
+                  {NOTE_NAMES.map((name, pitchClass) => (
+                    <option key={name} value={pitchClass}>{name}</option>
+                  ))}
+                </select>
+                <select
+                  value={tuning.snapScale}
+                  onChange={(e) => updateTuning({ snapScale: e.target.value })}
+                  disabled={!tuning.snapEnabled || Boolean(tuning.scala)}
+                  style={styles.exportInput}
+                  title={tuning.scala ? 'A Scala tuning snaps to every degree of its scale' : 'Only snap to the notes of this scale'}
+                >
+                  {SNAP_SCALES.map((scale) => (
+                    <option key={scale.id} value={scale.id}>{scale.label}</option>
+                  ))}
+                </select>
+              </div>
+            </label>
+          </div>
+        </div>
+
+        <div style={styles.card}>
+          <div style={styles.cardHeader}>
+            <label style={styles.label}>Presets</label>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <button
+                onClick={handleDownloadPatch}
+                style={{ ...styles.modeButton, background: 'linear-gradient(to right, #525252, #404040)' }}
+                title="Download the current patch as a JSON file"
+              >
+                ⬇ Save File
+              </button>
+              <button
+                onClick={() => patchFileInputRef.current.click()}
+                style={{ ...styles.modeButton, background: 'linear-gradient(to right, #525252, #404040)' }}
+                title="Load a patch file (or drop it anywhere on the page)"
+              >
+                ⬆ Open File
+              </button>
+              <input
+                ref={patchFileInputRef}
+                type="file"
+                accept=".json,application/json"
+                style={{ display: 'none' }}
+                onChange={(e) => {
+                  if (e.target.files[0]) importPatchFile(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+              <button
+                onClick={handleCopyLink}
+                style={{
+                  ...styles.modeButton,
+                  background: linkCopied
+                    ? 'linear-gradient(to right, #22d3ee, #0891b2)'
+                    : 'linear-gradient(to right, #525252, #404040)',
+                }}
+                title="Copy a link that reopens this exact patch"
+              >
+                {linkCopied ? '✓ Copied' : '🔗 Copy Link'}
+              </button>
+            </div>
+          </div>
+          <PresetPanel getPatch={getPatch} onRecall={applyPatch} />
+        </div>
+
+        <div style={styles.card}>
+          <div style={styles.cardHeader}>
+            <label style={styles.label}>{scopeView === 'scope' ? 'Oscilloscope' : 'Spectrum'}</label>
+            <div style={styles.exportField}>
+              {scopeView === 'spectrum' && (
+                <select
+                  value={spectrumSpan}
+                  onChange={(e) => setSpectrumSpan(e.target.value)}
+                  style={styles.exportInput}
+                  title="Frequency range shown; the ± spans zoom in around the root for finer resolution"
+                >
+                  {SPECTRUM_SPANS.map((span) => (
+                    <option key={span.id} value={span.id}>{span.label}</option>
+                  ))}
+                </select>
+              )}
+              <button
+                onClick={() => setShowSpectrogram(!showSpectrogram)}
+                style={{
+                  ...styles.modeButton,
+                  background: showSpectrogram
+                    ? 'linear-gradient(to right, #22d3ee, #0891b2)'
+                    : 'linear-gradient(to right, #525252, #404040)',
+                }}
+                title="Show how each partial's level changes over minutes"
+              >
+                Spectrogram
+              </button>
+              {[['scope', 'Scope'], ['spectrum', 'Spectrum']].map(([view, label]) => (
+                <button
+                  key={view}
+                  onClick={() => setScopeView(view)}
+                  style={{
+                    ...styles.modeButton,
+                    background: scopeView === view
+                      ? 'linear-gradient(to right, #22d3ee, #0891b2)'
+                      : 'linear-gradient(to right, #525252, #404040)',
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {scopeView === 'scope' ? (
+            <canvas
+              ref={canvasRef}
+              width={800}
+              height={156}
+              style={styles.canvas}
+            />
+          ) : (
+            <canvas
+              ref={spectrumCanvasRef}
+              width={800}
+              height={156}
+              style={styles.canvas}
+            />
+          )}
+          {showSpectrogram && (
+            <>
+              <canvas
+                ref={spectrogramCanvasRef}
+                width={800}
+                height={156}
+                style={{ ...styles.canvas, marginTop: '0.5rem' }}
+              />
+              <div style={{ ...styles.exportRow, marginTop: '0.5rem' }}>
+                <label style={styles.exportField}>
+                  Range
+                  <select
+                    value={spectrogramSpan}
+                    onChange={(e) => changeSpectrogramView(() => setSpectrogramSpan(e.target.value))}
+                    style={styles.exportInput}
+                  >
+                    {SPECTRUM_SPANS.filter((span) => span.halfWidth).map((span) => (
+                      <option key={span.id} value={span.id}>{span.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label style={styles.exportField}>
+                  Window
+                  <select
+                    value={spectrogramWindow}
+                    onChange={(e) => changeSpectrogramView(() => setSpectrogramWindow(parseInt(e.target.value, 10)))}
+                    style={styles.exportInput}
+                  >
+                    {SPECTROGRAM_WINDOWS.map((option) => (
+                      <option key={option.seconds} value={option.seconds}>{option.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <button
+                  onClick={exportSpectrogram}
+                  style={{ ...styles.modeButton, background: 'linear-gradient(to right, #525252, #404040)' }}
+                  title="Save the spectrogram as it is now, with its labels, as a PNG image"
+                >
+                  ⬇ Export PNG
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div style={styles.card}>
+          <label style={styles.label}>Export Audio</label>
+          <div style={{ ...styles.exportRow, marginTop: '0.5rem' }}>
+            <label style={styles.exportField}>
+              Duration (s)
+              <input
+                type="number"
+                value={exportDuration}
+                onChange={(e) => setExportDuration(parseFloat(e.target.value) || 0)}
+                style={{ ...styles.exportInput, width: '5rem' }}
+                min="1"
+                max="600"
+              />
+            </label>
+            <label style={styles.exportField}>
+              Sample rate
+              <select
+                value={exportSampleRate}
+                onChange={(e) => setExportSampleRate(parseInt(e.target.value, 10))}
+                style={styles.exportInput}
+              >
+                {SAMPLE_RATES.map((rate) => (
+                  <option key={rate} value={rate}>{rate / 1000} kHz</option>
+                ))}
+              </select>
+            </label>
+            <label style={styles.exportField}>
+              Bit depth
+              <select
+                value={exportBitDepth}
+                onChange={(e) => setExportBitDepth(parseInt(e.target.value, 10))}
+                style={styles.exportInput}
+              >
+                {BIT_DEPTHS.map((depth) => (
+                  <option key={depth.value} value={depth.value}>{depth.label}</option>
+                ))}
+              </select>
+            </label>
+            <label style={{ ...styles.exportField, flexDirection: 'row', alignItems: 'center' }}>
+              <input
+                type="checkbox"
+                checked={exportStems}
+                onChange={(e) => setExportStems(e.target.checked)}
+              />
+              Channel stems
+            </label>
+            <label style={{ ...styles.exportField, flexDirection: 'row', alignItems: 'center', opacity: exportStems ? 1 : 0.4 }}>
+              <input
+                type="checkbox"
+                checked={exportClick}
+                disabled={!exportStems}
+                onChange={(e) => setExportClick(e.target.checked)}
+              />
+              Click stem
+            </label>
+            <button
+              onClick={handleExportAudio}
+              disabled={isExporting}
+              style={{
+                ...styles.button,
+                ...styles.randomButton,
+                width: 'auto',
+                padding: '0.4rem 1rem',
+                fontSize: '0.875rem',
+                opacity: isExporting ? 0.6 : 1,
+              }}
+              title={exportStems ? 'Render the mixdown and one WAV per channel into a ZIP' : 'Render the current patch offline to a WAV file'}
+            >
+              💾 {exportStems ? 'Export Stems' : 'Export WAV'}
+            </button>
+            {exportStatus && <span style={styles.exportStatus}>{exportStatus}</span>}
+          </div>
+          {hasAutomation && (
+            <div style={{ ...styles.exportStatus, marginTop: '0.5rem' }}>
+              Exports start at the automation playhead ({formatTimelineTime(displayedTimelinePosition)}) and follow the lanes from there
+            </div>
+          )}
         </div>
 
-        <div style={{ marginBottom: '2rem' }}>
+        <div style={styles.card}>
+          <div style={styles.cardHeader}>
+            <label style={styles.label}>Channels</label>
+            <button
+              onClick={addChannel}
+              disabled={ratios.length >= MAX_CHANNELS}
+              style={{
+                ...styles.modeButton,
+                background: 'linear-gradient(to right, #525252, #404040)',
+                opacity: ratios.length >= MAX_CHANNELS ? 0.4 : 1,
+              }}
+              title={ratios.length >= MAX_CHANNELS ? `The mixer holds up to ${MAX_CHANNELS} channels` : 'Add a channel to the mixer'}
+            >
+              ＋ Add Channel
+            </button>
+          </div>
+          <div style={{ ...styles.modeRow, marginTop: 0, marginBottom: '0.5rem' }}>
+            <span style={{ ...styles.label, marginBottom: 0 }}>Beats</span>
+            {BEAT_MODES.map((mode) => (
+              <button
+                key={mode.id}
+                onClick={() => handleBeatModeChange(mode.id)}
+                style={{
+                  ...styles.modeButton,
+                  background: beatMode === mode.id
+                    ? 'linear-gradient(to right, #22d3ee, #0891b2)'
+                    : 'linear-gradient(to right, #525252, #404040)',
+                }}
+                title={mode.title}
+              >
+                {mode.label}
+              </button>
+            ))}
+            {beatMode === 'hz' && (
+              <>
+                <span style={{ ...styles.label, marginBottom: 0, marginLeft: '0.75rem' }}>Unit</span>
+                {[{ id: 'hz', label: 'Hz', title: 'Type beats as frequencies' }, { id: 'ms', label: 'ms', title: 'Type beats as periods' }].map((unit) => (
+                  <button
+                    key={unit.id}
+                    onClick={() => setBeatUnit(unit.id)}
+                    style={{
+                      ...styles.modeButton,
+                      background: beatUnit === unit.id
+                        ? 'linear-gradient(to right, #22d3ee, #0891b2)'
+                        : 'linear-gradient(to right, #525252, #404040)',
+                    }}
+                    title={unit.title}
+                  >
+                    {unit.label}
+                  </button>
+                ))}
+              </>
+            )}
+          </div>
+          <table style={styles.channelTable}>
+            <thead>
+              <tr>
+                <th style={styles.channelHeaderCell}>Channel</th>
+                {beatMode === 'hz' ? (
+                  <>
+                    <th style={styles.channelHeaderCell}>{beatUnit === 'ms' ? 'Period (ms)' : 'Beat (Hz)'}</th>
+                    <th style={styles.channelHeaderCell}>Band</th>
+                    <th style={styles.channelHeaderCell}>Tempo Match</th>
+                  </>
+                ) : (
+                  <>
+                    <th style={styles.channelHeaderCell}>Ratio</th>
+                    <th style={styles.channelHeaderCell}>Division</th>
+                    <th style={styles.channelHeaderCell}>Beat</th>
+                  </>
+                )}
+                <th style={styles.channelHeaderCell}>Frequency</th>
+                <th style={styles.channelHeaderCell} />
+              </tr>
+            </thead>
+            <tbody>
+              {ratios.map((ratio, idx) => {
+                const division = findDivision(ratio);
+                const beatHz = beatFrequencies[idx];
+                const band = findBand(beatHz);
+                const tempoMatch = matchTempo(beatHz, bpm);
+                return (
+                  <tr key={channelIds[idx]}>
+                    <td style={styles.channelCell}>
+                      {idx === 0 ? 'Root' : <>{idx + 1}. {getNoteSymbol(idx)} {getOscillatorLabel(idx)}</>}
+                    </td>
+                    {beatMode === 'hz' ? (
+                      <>
+                        <td style={styles.channelCell}>
+                          {idx === 0 ? '—' : (
+                            <BeatField
+                              key={`${beatHz}-${beatUnit}`}
+                              value={beatHz}
+                              unit={beatUnit}
+                              limits={frequencyLimits.beatFrequencies}
+                              onCommit={(value) => handleBeatFrequencyChange(idx, value)}
+                              style={styles.channelInput}
+                            />
+                          )}
+                        </td>
+                        <td style={styles.channelCell}>
+                          {idx === 0 ? '—' : (
+                            <select
+                              value={band ? band.id : 'custom'}
+                              onChange={(e) => handleBandChange(idx, e.target.value)}
+                              style={{ ...styles.channelInput, width: '11rem' }}
+                            >
+                              <option value="custom">Outside the bands</option>
+                              {BRAINWAVE_BANDS.map((option) => (
+                                <option key={option.id} value={option.id}>
+                                  {option.symbol} {option.label} ({option.min}–{option.max} Hz)
+                                </option>
+                              ))}
+                            </select>
+                          )}
+                        </td>
+                        <td style={styles.channelCell}>
+                          {idx === 0 || !tempoMatch ? '—' : (
+                            <button
+                              onClick={() => setBpm(clampToLimits(Math.round(tempoMatch.bpm * 10) / 10, frequencyLimits.bpm))}
+                              style={{ background: 'none', border: 'none', padding: 0, color: '#22d3ee', cursor: 'pointer', fontSize: 'inherit' }}
+                              title={`${tempoMatch.division.name} at ${tempoMatch.bpm.toFixed(1)} BPM; click to set the tempo`}
+                            >
+                              {tempoMatch.division.label} @ {tempoMatch.bpm.toFixed(1)} BPM
+                            </button>
+                          )}
+                        </td>
+                      </>
+                    ) : (
+                      <>
+                        <td style={styles.channelCell}>
+                          {idx === 0 ? '—' : (
+                            <RatioField
+                              key={ratio}
+                              value={ratio}
+                              limits={frequencyLimits.ratios}
+                              onCommit={(value) => handleRatioChange(idx, value)}
+                              style={styles.channelInput}
+                            />
+                          )}
+                        </td>
+                        <td style={styles.channelCell}>
+                          {idx === 0 ? '—' : (
+                            <select
+                              value={division ? String(division.ratio) : 'custom'}
+                              onChange={(e) => {
+                                if (e.target.value === 'custom') return;
+                                // Keep the channel on its side of the root
+                                handleRatioChange(idx, parseFloat(e.target.value) * (ratio < 0 ? -1 : 1));
+                              }}
+                              style={{ ...styles.channelInput, width: '11rem' }}
+                            >
+                              <option value="custom">Custom ratio</option>
+                              {NOTE_DIVISIONS.map((option) => (
+                                <option key={option.label} value={String(option.ratio)}>
+                                  {option.label} – {option.name}
+                                </option>
+                              ))}
+                            </select>
+                          )}
+                        </td>
+                        <td style={styles.channelCell}>
+                          {idx === 0 ? '—' : `${getBeatFrequency(idx).toFixed(getFrequencyDecimals(idx))} Hz`}
+                        </td>
+                      </>
+                    )}
+                    <td style={styles.channelCell}>{frequencies[idx].toFixed(2)} Hz</td>
+                    <td style={{ ...styles.channelCell, textAlign: 'right' }}>
+                      {idx > 0 && (
+                        <button
+                          onClick={() => removeChannel(idx)}
+                          style={{ background: 'none', border: 'none', color: '#9ca3af', cursor: 'pointer', fontSize: '0.9rem' }}
+                          title="Remove this channel"
+                        >
+                          ✕
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div style={{ ...styles.mixerScroller, marginBottom: '2rem' }}>
           <div style={styles.mixerContainer}>
             {frequencies.map((freq, idx) => (
-              <div key={idx} style={styles.faderChannel}>
+              <div key={channelIds[idx]} style={styles.faderChannel}>
                 <div style={styles.channelContent}>
                   {/* LFO Controls */}
+                  <div style={{ ...styles.lfoSection, flexDirection: 'column' }}>
+                    <div style={{ display: 'flex', gap: '4px' }}>
+                      {lfoSyncRatios[idx] > 0 ? (
+                        <Knob
+                          value={LFO_SYNC_DIVISIONS.indexOf(findLfoSyncDivision(lfoSyncRatios[idx]))}
+                          onChange={(val) => handleLfoSyncChange(idx, LFO_SYNC_DIVISIONS[Math.round(val)].ratio)}
+                          min={0}
+                          max={LFO_SYNC_DIVISIONS.length - 1}
+                          label="Rate"
+                          formatValue={formatLfoSync}
+                          size={28}
+                          commitOnRelease={true}
+                          title={findLfoSyncDivision(lfoSyncRatios[idx]).name}
+                        />
+                      ) : (
+                        <Knob
+                          value={lfoRates[idx]}
+                          onChange={(val) => handleLfoRateChange(idx, val)}
+                          min={0.002}
+                          max={5}
+                          label="Rate"
+                          formatValue={formatLfoRate}
+                          size={28}
+                          exponential={true}
+                          commitOnRelease={true}
+                        />
+                      )}
+                      <Knob
+                        value={lfoAmounts[idx]}
+                        onChange={(val) => handleLfoAmountChange(idx, val)}
+                        min={0}
+                        max={1}
+                        label="Amt"
+                        formatValue={formatLfoAmount}
+                        size={28}
+                        commitOnRelease={true}
+                      />
+                      <Knob
+                        value={lfoPhases[idx]}
+                        onChange={(val) => handleLfoPhaseChange(idx, val)}
+                        min={0}
+                        max={360}
+                        label="Phase"
+                        formatValue={formatLfoPhase}
+                        size={28}
+                        commitOnRelease={true}
+                        title="Where this LFO starts its cycle after a reset"
+                      />
+                    </div>
+                    <div style={{ display: 'flex', gap: '2px' }}>
+                      <select
+                        value={lfoShapes[idx]}
+                        onChange={(e) => handleLfoShapeChange(idx, e.target.value)}
+                        style={{ ...styles.stripSelect, flex: 1 }}
+                        title="LFO shape"
+                      >
+                        {LFO_SHAPES.map((shape) => (
+                          <option key={shape.id} value={shape.id}>{shape.label}</option>
+                        ))}
+                      </select>
+                      <div
+                        onClick={() => toggleLfoSync(idx)}
+                        style={{
+                          ...styles.muteButton,
+                          width: 'auto',
+                          padding: '0.2rem 0.35rem',
+                          ...(lfoSyncRatios[idx] > 0 ? { background: '#0891b2', color: 'white' } : styles.muteButtonInactive),
+                        }}
+                        title={lfoSyncRatios[idx] > 0 ? 'Run the LFO free in Hz' : 'Sync the LFO rate to the bpm'}
+                      >
+                        SYNC
+                      </div>
+                    </div>
+                  </div>
+                  {/* Pan + pan LFO Controls */}
                   <div style={styles.lfoSection}>
                     <Knob
-                      value={lfoRates[idx]}
-                      onChange={(val) => handleLfoRateChange(idx, val)}
+                      value={stereoMode === 'mixed' ? channelPans[idx] : getChannelPan(idx)}
+                      onChange={(val) => handlePanChange(idx, val)}
+                      min={-1}
+                      max={1}
+                      label="Pan"
+                      formatValue={formatPan}
+                      size={24}
+                      title={stereoMode === 'mixed' ? undefined : 'Turning this switches the output to Mixed'}
+                    />
+                    <Knob
+                      value={panLfoRates[idx]}
+                      onChange={(val) => handlePanLfoRateChange(idx, val)}
                       min={0.002}
                       max={5}
-                      label="Rate"
+                      label="P.Rate"
                       formatValue={formatLfoRate}
-                      size={32}
+                      size={24}
                       exponential={true}
                       commitOnRelease={true}
                     />
                     <Knob
-                      value={lfoAmounts[idx]}
-                      onChange={(val) => handleLfoAmountChange(idx, val)}
+                      value={panLfoAmounts[idx]}
+                      onChange={(val) => handlePanLfoAmountChange(idx, val)}
                       min={0}
                       max={1}
-                      label="Amt"
+                      label="P.Amt"
                       formatValue={formatLfoAmount}
-                      size={32}
+                      size={24}
                       commitOnRelease={true}
                     />
                   </div>
@@ -1343,6 +4226,32 @@ export default function TonePhase() {
                   >
                     MUTE
                   </div>
+                  <div style={styles.waveformRow}>
+                    <select
+                      value={waveforms[idx]}
+                      onChange={(e) => handleWaveformChange(idx, e.target.value)}
+                      style={{ ...styles.stripSelect, flex: 1 }}
+                      title="Waveform"
+                    >
+                      {WAVEFORMS.map((waveform) => (
+                        <option key={waveform.id} value={waveform.id}>{waveform.label}</option>
+                      ))}
+                    </select>
+                    {waveforms[idx] === 'custom' && (
+                      <div
+                        onClick={() => setEditingPartialsIdx(editingPartialsIdx === idx ? null : idx)}
+                        style={{
+                          ...styles.muteButton,
+                          width: 'auto',
+                          padding: '0.2rem 0.35rem',
+                          ...(editingPartialsIdx === idx ? { background: '#0891b2', color: 'white' } : styles.muteButtonInactive),
+                        }}
+                        title="Edit the harmonics of this waveform"
+                      >
+                        EDIT
+                      </div>
+                    )}
+                  </div>
                   <div style={styles.faderLabel}>
                     {idx === 0 ? 'Root' : (
                       <span style={{ display: 'inline-flex', alignItems: 'center', position: 'relative' }}>
@@ -1352,41 +4261,73 @@ export default function TonePhase() {
                     )}
                   </div>
                   <div style={styles.faderFreq}>
-                    {freq.toFixed((idx === 1 || idx === 2) ? 2 : 1)} Hz
+                    {freq.toFixed(getFrequencyDecimals(idx))} Hz
                     {idx > 0 ? (
-                      <div>({getBeatFrequency(idx).toFixed((idx === 1 || idx === 2) ? 2 : 1)} Hz)</div>
+                      <div>({getBeatFrequency(idx).toFixed(getFrequencyDecimals(idx))} Hz)</div>
                     ) : (
                       <div style={{ height: '1em' }}>&nbsp;</div>
                     )}
                   </div>
                   <div style={styles.sliderArea}>
-                    <div style={styles.dbScale}>
-                      <span>10</span>
-                      <span>5</span>
-                      <span>0</span>
-                      <span>-5</span>
-                      <span>-10</span>
-                      <span>-20</span>
-                      <span>-30</span>
-                      <span>-50</span>
-                    </div>
+                    <LevelMeter
+                      canvasRef={setMeterCanvas(channelIds[idx], 1)}
+                      channelCount={1}
+                      onResetClip={() => handleResetClip(channelIds[idx], 1)}
+                    />
                     <VerticalSlider
                       value={volumes[idx]}
-                      displayValue={lfoAmounts[idx] > 0 ? modulatedVolumes[idx] : undefined}
+                      displayValue={isVolumeFollowed(idx) ? modulatedVolumes[idx] : undefined}
                       onChange={(newValue) => handleVolumeChange(idx, newValue)}
-                      onDoubleClick={() => handleVolumeChange(idx, 0.5)}
+                      onDoubleClick={() => handleVolumeChange(idx, UNITY_POSITION)}
                       min={0}
                       max={1}
-                      step={0.01}
+                      step={0.005}
                     />
+                    <FaderScale />
                   </div>
+                  <div style={styles.faderVolume}>{formatFaderDb(volumes[idx])}</div>
                 </div>
               </div>
             ))}
             <div style={styles.masterFader}>
               <div style={styles.channelContent}>
-                {/* Spacer to align with LFO section on other channels */}
-                <div style={{ height: '68px' }} />
+                {/* Same height as the LFO section on other channels */}
+                <div style={styles.limiterPanel}>
+                  <div style={styles.limiterTitle}>Limiter</div>
+                  <div
+                    style={styles.limiterRow}
+                    title={`Gain reduction right now; the limiter starts at ${LIMITER_THRESHOLD_DB} dBFS and never changes the master volume`}
+                  >
+                    <span>GR</span>
+                    <span ref={limiterReductionRef} style={styles.limiterValue}>0.0 dB</span>
+                  </div>
+                  <div
+                    style={styles.limiterRow}
+                    title="Estimated from the fader, LFO and pan settings, assuming every channel peaks at the same moment (beating tones line up sooner or later)"
+                  >
+                    <span>{headroomLabel}</span>
+                    <span style={{ ...styles.limiterValue, color: predictedPeakDb > LIMITER_THRESHOLD_DB ? '#f59e0b' : '#d1d5db' }}>{headroomText}</span>
+                  </div>
+                  <div
+                    ref={clipLightRef}
+                    onClick={() => handleResetClip('master', 2)}
+                    style={{ ...styles.muteButton, ...styles.muteButtonInactive }}
+                    title="Lights when the mix goes over 0 dBFS before the limiter, and stays lit until clicked"
+                  >
+                    CLIP
+                  </div>
+                </div>
+                <div style={{ ...styles.lfoSection, background: 'transparent' }}>
+                  <Knob
+                    value={masterPan}
+                    onChange={setMasterPan}
+                    min={-1}
+                    max={1}
+                    label="Pan"
+                    formatValue={formatPan}
+                    size={24}
+                  />
+                </div>
                 <div
                   onClick={() => setMasterMuted(!masterMuted)}
                   style={{
@@ -1397,6 +4338,8 @@ export default function TonePhase() {
                 >
                   MUTE
                 </div>
+                {/* Spacer to align with the waveform selector on other channels */}
+                <div style={{ ...styles.waveformRow, height: styles.stripSelect.height }} />
                 <div style={styles.faderLabel}>
                   MASTER
                 </div>
@@ -1405,30 +4348,124 @@ export default function TonePhase() {
                   <div style={{ height: '1em' }}>&nbsp;</div>
                 </div>
                 <div style={styles.sliderArea}>
-                  <div style={styles.dbScale}>
-                    <span>10</span>
-                    <span>5</span>
-                    <span>0</span>
-                    <span>-5</span>
-                    <span>-10</span>
-                    <span>-20</span>
-                    <span>-30</span>
-                    <span>-50</span>
-                  </div>
+                  <LevelMeter
+                    canvasRef={setMeterCanvas('master', 2)}
+                    channelCount={2}
+                    onResetClip={() => handleResetClip('master', 2)}
+                  />
                   <VerticalSlider
                     value={masterVolume}
+                    displayValue={isLaneFollowed('masterVolume') ? automatedValues.masterVolume : undefined}
                     onChange={setMasterVolume}
-                    onDoubleClick={() => setMasterVolume(0.5)}
+                    onDoubleClick={() => setMasterVolume(UNITY_POSITION)}
                     min={0}
                     max={1}
-                    step={0.01}
+                    step={0.005}
                   />
+                  <FaderScale />
                 </div>
+                <div style={styles.faderVolume}>{formatFaderDb(masterVolume)}</div>
               </div>
             </div>
           </div>
         </div>
 
+        {editingPartialsIdx !== null && waveforms[editingPartialsIdx] === 'custom' && (
+          <div style={styles.card}>
+            <div style={styles.cardHeader}>
+              <label style={styles.label}>Custom Waveform — {getOscillatorLabel(editingPartialsIdx)}</label>
+              <button
+                onClick={() => setEditingPartialsIdx(null)}
+                style={{ ...styles.modeButton, background: 'linear-gradient(to right, #525252, #404040)' }}
+              >
+                Close
+              </button>
+            </div>
+            <PartialsEditor
+              partials={partials[editingPartialsIdx]}
+              onChange={(value) => handlePartialsChange(editingPartialsIdx, value)}
+            />
+          </div>
+        )}
+
+        <div style={styles.card}>
+          <div style={styles.cardHeader}>
+            <label style={styles.label}>Automation</label>
+            <div style={styles.exportField}>
+              <span>Length</span>
+              <select
+                value={automation.length}
+                onChange={(e) => handleTimelineLengthChange(Number(e.target.value))}
+                style={styles.exportInput}
+              >
+                {[...new Set([...TIMELINE_LENGTHS.map((minutes) => minutes * 60), automation.length])]
+                  .sort((a, b) => a - b)
+                  .map((seconds) => (
+                    <option key={seconds} value={seconds}>{formatTimelineTime(seconds)}</option>
+                  ))}
+              </select>
+            </div>
+          </div>
+          <div style={{ ...styles.exportRow, margin: '0.5rem 0 0.75rem' }}>
+            <button
+              onClick={toggleTimeline}
+              style={{ ...styles.modeButton, background: isTimelinePlaying ? '#0891b2' : 'linear-gradient(to right, #525252, #404040)' }}
+            >
+              {isTimelinePlaying ? '❚❚ Pause' : '▶ Play'}
+            </button>
+            <button
+              onClick={rewindTimeline}
+              style={{ ...styles.modeButton, background: 'linear-gradient(to right, #525252, #404040)' }}
+              title="Back to the start"
+            >
+              ⏮
+            </button>
+            <span ref={timelineReadoutRef} style={styles.exportStatus}>
+              {formatTimelineReadout(displayedTimelinePosition)}
+            </span>
+            <div style={{ ...styles.exportField, marginLeft: 'auto' }}>
+              <span>Lane</span>
+              <select
+                value={editedLane.id}
+                onChange={(e) => setAutomationLaneId(e.target.value)}
+                style={styles.exportInput}
+              >
+                {automationLanes.map((lane) => (
+                  <option key={lane.id} value={lane.id}>
+                    {lane.label}{lane.points.length > 0 ? ` (${lane.points.length})` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={() => setLanePoints(editedLane.id, [])}
+              disabled={editedLane.points.length === 0}
+              style={{
+                ...styles.modeButton,
+                background: 'linear-gradient(to right, #525252, #404040)',
+                opacity: editedLane.points.length === 0 ? 0.4 : 1,
+              }}
+              title="Remove every point from this lane, handing the parameter back to its control"
+            >
+              Clear Lane
+            </button>
+          </div>
+          <AutomationEditor
+            key={editedLane.id}
+            points={editedLane.points}
+            onChange={(points) => setLanePoints(editedLane.id, points)}
+            length={automation.length}
+            position={displayedTimelinePosition}
+            setPlayhead={setTimelinePlayhead}
+            onScrub={scrubTimeline}
+            min={editedLane.limits.min}
+            max={editedLane.limits.max}
+            scale={editedLane.scale}
+            step={editedLane.step}
+            formatValue={(value) => formatLaneValue(editedLane.id, value)}
+          />
+        </div>
+
       </div>
     </div>
   );
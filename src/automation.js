@@ -0,0 +1,98 @@
+// Breakpoint automation for long sessions
+// A lane is a list of { time, value, curve } points sorted by time (seconds from the start of the timeline)
+// A point's curve shapes the segment leaving it: ramp linearly or exponentially to the next point, or hold until it
+
+export const AUTOMATION_CURVES = [
+  { id: 'linear', label: 'Linear' },
+  { id: 'exponential', label: 'Exponential' },
+  { id: 'hold', label: 'Hold' },
+];
+
+export const AUTOMATION_CURVE_IDS = AUTOMATION_CURVES.map((curve) => curve.id);
+
+// Lanes for the patch-wide parameters; each channel also has a volume lane (see volumeAutomation in patch.js)
+// Root frequency is drawn on a log scale so octaves take equal space; step is the editing resolution
+export const GLOBAL_LANES = [
+  { id: 'bpm', label: 'BPM', scale: 'linear', step: 0.1 },
+  { id: 'rootFreq', label: 'Root', scale: 'log', step: 0.1 },
+  { id: 'masterVolume', label: 'Master Volume', scale: 'linear', step: 0.01 },
+];
+
+export const DEFAULT_AUTOMATION = {
+  length: 1800, // seconds
+  bpm: [],
+  rootFreq: [],
+  masterVolume: [],
+};
+
+// Value of a lane at a time, or null when the lane has no points
+// Before the first point and after the last, the lane holds that point's value
+// Exponential segments need two positive values; otherwise they fall back to linear
+export const laneValueAt = (points, time) => {
+  if (points.length === 0) return null;
+  if (time <= points[0].time) return points[0].value;
+
+  const nextIdx = points.findIndex((point) => point.time > time);
+  if (nextIdx === -1) return points[points.length - 1].value;
+
+  const from = points[nextIdx - 1];
+  const to = points[nextIdx];
+  const progress = (time - from.time) / (to.time - from.time);
+
+  if (from.curve === 'hold') return from.value;
+  if (from.curve === 'exponential' && from.value > 0 && to.value > 0) {
+    return from.value * (to.value / from.value) ** progress;
+  }
+  return from.value + (to.value - from.value) * progress;
+};
+
+// Entering a lane glides the parameter from wherever it is to the lane, rather than jumping
+const LANE_ENTRY_TIME = 0.05; // seconds
+
+// Play a lane on an audio parameter (a Tone Param or Signal) from a timeline position, with that position at
+// startTime; each segment becomes a single ramp or step on the audio clock, so nothing runs on the main thread
+// map turns lane values into parameter values; segments ramp between mapped points, so a map that isn't
+// proportional (like the LFO depth a fader position allows) only follows the lane exactly at its points
+// An empty lane leaves the parameter alone
+export const scheduleLane = (param, points, position, startTime, map = (value) => value) => {
+  if (points.length === 0) return;
+
+  const entryPosition = position + LANE_ENTRY_TIME;
+  const toTime = (time) => startTime + (time - position);
+  param.cancelAndHoldAtTime(startTime);
+  param.linearRampToValueAtTime(map(laneValueAt(points, entryPosition)), toTime(entryPosition));
+
+  // The segment being entered: before the first point the lane holds that point's value
+  let from = points.findLast((point) => point.time <= entryPosition) || { value: points[0].value, curve: 'hold' };
+  points.filter((point) => point.time > entryPosition).forEach((point) => {
+    const time = toTime(point.time);
+    const value = map(point.value);
+    if (from.curve === 'hold') {
+      param.setValueAtTime(value, time);
+    } else if (from.curve === 'exponential' && from.value > 0 && point.value > 0 && map(from.value) > 0 && value > 0) {
+      param.exponentialRampToValueAtTime(value, time);
+    } else {
+      param.linearRampToValueAtTime(value, time);
+    }
+    from = point;
+  });
+};
+
+// Add a point, keeping the lane sorted; returns the new lane and the point's index in it
+export const insertPoint = (points, point) => {
+  const idx = points.findIndex((existing) => existing.time > point.time);
+  const insertAt = idx === -1 ? points.length : idx;
+  return {
+    points: [...points.slice(0, insertAt), point, ...points.slice(insertAt)],
+    idx: insertAt,
+  };
+};
+
+// Timeline position as m:ss (or h:mm:ss for long sessions)
+export const formatTimelineTime = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
@@ -0,0 +1,51 @@
+import { NOTE_DIVISIONS } from './noteDivisions.js';
+
+// Brainwave mode: channel beats set directly in Hz instead of as ratios of the bpm
+
+export const BEAT_MODES = [
+  { id: 'tempo', label: 'Tempo Ratios', title: 'Beats are note divisions of the bpm' },
+  { id: 'hz', label: 'Brainwave Hz', title: 'Beats are set directly in Hz or ms and ignore the bpm' },
+];
+
+export const BEAT_MODE_IDS = BEAT_MODES.map((mode) => mode.id);
+
+// Conventional EEG bands; choosing a band sets the beat to its preset
+export const BRAINWAVE_BANDS = [
+  { id: 'delta', label: 'Delta', symbol: 'δ', min: 0.5, max: 4, preset: 2, description: 'deep sleep' },
+  { id: 'theta', label: 'Theta', symbol: 'θ', min: 4, max: 8, preset: 6, description: 'drowsiness and meditation' },
+  { id: 'alpha', label: 'Alpha', symbol: 'α', min: 8, max: 13, preset: 10, description: 'relaxed wakefulness' },
+  { id: 'beta', label: 'Beta', symbol: 'β', min: 13, max: 30, preset: 20, description: 'alert focus' },
+  { id: 'gamma', label: 'Gamma', symbol: 'γ', min: 30, max: 100, preset: 40, description: 'high-level processing' },
+];
+
+// The band a beat falls in (sign ignored), or null outside 0.5-100 Hz
+export const findBand = (hz) => BRAINWAVE_BANDS.find((band) => Math.abs(hz) >= band.min && Math.abs(hz) < band.max) || null;
+
+// Parse a typed beat: a number in the given unit, or with an explicit "Hz" or "ms" suffix
+// Returns the beat in Hz, or null if the text isn't a usable beat
+export const parseBeat = (text, unit) => {
+  const match = text.trim().match(/^([+-]?\d*\.?\d+)\s*(hz|ms)?$/i);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  const isMs = match[2] ? match[2].toLowerCase() === 'ms' : unit === 'ms';
+  if (!isMs) return value;
+  return value === 0 ? null : 1000 / value;
+};
+
+// A beat in the given unit, e.g. "6" (Hz) or "166.7" (ms period)
+export const formatBeat = (hz, unit) => {
+  if (unit === 'ms') return hz === 0 ? '—' : String(Number((1000 / hz).toFixed(1)));
+  return String(Number(hz.toFixed(3)));
+};
+
+// The note division and tempo (1-300 BPM) that produce a beat, choosing the tempo closest to the current bpm
+// Returns null when no division lands in the tempo range
+export const matchTempo = (hz, bpm) => {
+  if (hz === 0) return null;
+  return NOTE_DIVISIONS.reduce((best, division) => {
+    const divisionBpm = (Math.abs(hz) * 60) / division.ratio;
+    if (divisionBpm < 1 || divisionBpm > 300) return best;
+    if (best && Math.abs(best.bpm - bpm) <= Math.abs(divisionBpm - bpm)) return best;
+    return { division, bpm: divisionBpm };
+  }, null);
+};
@@ -0,0 +1,130 @@
+// Arithmetic for the root frequency and BPM fields, e.g. "440*3/2", "C4 * 2^(7/12)", "Eb4 +12c" or "127*2/3"
+// Supports + - * / ^ and parentheses, note names (resolved by the caller) and cent offsets written "12c" or "12¢"
+// A cent offset can only be added to or subtracted from a pitch: "A4 + 50c" is A4 raised a quarter tone
+
+export class ExpressionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExpressionError';
+  }
+}
+
+const tokenize = (text) => {
+  const tokens = [];
+  let pos = 0;
+  while (pos < text.length) {
+    const rest = text.slice(pos);
+    const space = rest.match(/^\s+/);
+    const note = rest.match(/^[A-Ga-g][#♯b♭]?\d(?!\d)/);
+    const number = rest.match(/^(\d+\.?\d*|\.\d+)([c¢](?![A-Za-z]))?/);
+    if (space) {
+      pos += space[0].length;
+    } else if (note) {
+      tokens.push({ type: 'note', text: note[0] });
+      pos += note[0].length;
+    } else if (number) {
+      tokens.push({ type: number[2] ? 'cents' : 'number', value: parseFloat(number[1]), text: number[0] });
+      pos += number[0].length;
+    } else if ('+-*/^()×÷'.includes(rest[0])) {
+      tokens.push({ type: 'operator', text: { '×': '*', '÷': '/' }[rest[0]] || rest[0] });
+      pos += 1;
+    } else {
+      throw new ExpressionError(`Unexpected "${rest.match(/^\S+/)[0]}"`);
+    }
+  }
+  return tokens;
+};
+
+// Recursive descent over the tokens; values are { value, isCents }
+// resolveNote turns a note name into Hz (or null if the tuning lacks it); leave it out where notes make no sense
+const parse = (tokens, resolveNote) => {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOperator = (op) => peek()?.type === 'operator' && peek().text === op;
+  const plain = (operand, op) => {
+    if (operand.isCents) throw new ExpressionError(`Cents can only be added to or subtracted from a pitch, not used with "${op}"`);
+    return operand.value;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new ExpressionError('The expression ends too early');
+    if (token.type === 'number') return { value: token.value };
+    if (token.type === 'cents') return { value: token.value, isCents: true };
+    if (token.type === 'note') {
+      if (!resolveNote) throw new ExpressionError(`Note names like "${token.text}" only work in frequency fields`);
+      const freq = resolveNote(token.text);
+      if (freq === null) throw new ExpressionError(`"${token.text}" is not a note in the current tuning`);
+      return { value: freq };
+    }
+    if (token.text === '(') {
+      const inner = parseSum();
+      if (!isOperator(')')) throw new ExpressionError('Missing ")"');
+      pos++;
+      return inner;
+    }
+    throw new ExpressionError(`Unexpected "${token.text}"`);
+  };
+
+  // Exponents bind tighter than a leading minus and group to the right: -2^2 is -4 and 2^3^2 is 2^9
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (!isOperator('^')) return base;
+    pos++;
+    const exponent = parseUnary();
+    return { value: plain(base, '^') ** plain(exponent, '^') };
+  };
+
+  const parseUnary = () => {
+    if (isOperator('-') || isOperator('+')) {
+      const sign = tokens[pos++].text === '-' ? -1 : 1;
+      const operand = parseUnary();
+      return { ...operand, value: sign * operand.value };
+    }
+    return parsePower();
+  };
+
+  const parseProduct = () => {
+    let left = parseUnary();
+    while (isOperator('*') || isOperator('/')) {
+      const op = tokens[pos++].text;
+      const right = parseUnary();
+      if (op === '/' && plain(right, op) === 0) throw new ExpressionError('Division by zero');
+      left = { value: op === '*' ? plain(left, op) * plain(right, op) : plain(left, op) / plain(right, op) };
+    }
+    return left;
+  };
+
+  // Adding cents to a pitch scales it; adding cents to cents sums them
+  const parseSum = () => {
+    let left = parseProduct();
+    while (isOperator('+') || isOperator('-')) {
+      const sign = tokens[pos++].text === '-' ? -1 : 1;
+      const right = parseProduct();
+      if (right.isCents && !left.isCents) {
+        left = { value: left.value * 2 ** ((sign * right.value) / 1200) };
+      } else if (right.isCents && left.isCents) {
+        left = { value: left.value + sign * right.value, isCents: true };
+      } else {
+        left = { value: plain(left, sign > 0 ? '+' : '-') + sign * right.value };
+      }
+    }
+    return left;
+  };
+
+  const result = parseSum();
+  if (pos < tokens.length) throw new ExpressionError(`Unexpected "${tokens[pos].text}"`);
+  if (result.isCents) throw new ExpressionError('Cents need a pitch to apply to, e.g. "A4 + 12c"');
+  return result.value;
+};
+
+// Evaluate a field entry; throws ExpressionError with a short message saying what's wrong
+export const evaluateExpression = (text, { resolveNote, min = -Infinity, max = Infinity, unit = '' } = {}) => {
+  if (text.trim() === '') throw new ExpressionError('Enter a value');
+  const value = parse(tokenize(text), resolveNote);
+  if (!Number.isFinite(value)) throw new ExpressionError('The result is not a finite number');
+  if (value < min || value > max) {
+    throw new ExpressionError(`${Math.round(value * 1000) / 1000}${unit} is outside ${min}–${max}${unit}`);
+  }
+  return value;
+};
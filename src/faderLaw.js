@@ -0,0 +1,61 @@
+// Audio taper for the volume faders
+// Volumes are stored as fader positions (0-1) and turned into gain through a piecewise-linear dB curve,
+// so the marks printed beside a fader match what it does, with unity gain at the 0 dB mark
+
+// [position, dB] breakpoints, bottom to top; below the lowest one the gain fades linearly to silence
+const FADER_LAW = [
+  [0.05, -60],
+  [0.15, -40],
+  [0.25, -30],
+  [0.4, -20],
+  [0.55, -10],
+  [0.75, 0],
+  [1, 6],
+];
+
+export const UNITY_POSITION = 0.75;
+export const FADER_SCALE_MARKS = [6, 0, -10, -20, -30, -40, -60]; // dB
+
+const [FLOOR_POSITION, FLOOR_DB] = FADER_LAW[0];
+const dbToGain = (db) => 10 ** (db / 20);
+
+const interpolate = (x, x0, x1, y0, y1) => y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+
+export const faderToDb = (position) => {
+  if (position <= 0) return -Infinity;
+  if (position < FLOOR_POSITION) return 20 * Math.log10(faderToGain(position));
+  const upper = FADER_LAW.findIndex(([breakpoint]) => breakpoint >= position);
+  if (upper <= 0) return FADER_LAW[upper === 0 ? 0 : FADER_LAW.length - 1][1];
+  const [[p0, db0], [p1, db1]] = [FADER_LAW[upper - 1], FADER_LAW[upper]];
+  return interpolate(position, p0, p1, db0, db1);
+};
+
+// Position of a dB mark, for drawing the scale; levels below the floor sit at the bottom
+export const dbToFader = (db) => {
+  if (db <= FLOOR_DB) return db === -Infinity ? 0 : FLOOR_POSITION;
+  const upper = FADER_LAW.findIndex(([, breakpointDb]) => breakpointDb >= db);
+  if (upper === -1) return 1;
+  const [[p0, db0], [p1, db1]] = [FADER_LAW[upper - 1], FADER_LAW[upper]];
+  return interpolate(db, db0, db1, p0, p1);
+};
+
+export const faderToGain = (position) => {
+  if (position <= 0) return 0;
+  if (position < FLOOR_POSITION) return (position / FLOOR_POSITION) * dbToGain(FLOOR_DB);
+  return dbToGain(faderToDb(position));
+};
+
+export const gainToFader = (gain) => {
+  if (gain <= 0) return 0;
+  const floorGain = dbToGain(FLOOR_DB);
+  if (gain < floorGain) return (gain / floorGain) * FLOOR_POSITION;
+  return dbToFader(20 * Math.log10(gain));
+};
+
+// Readout text, e.g. "+2.5 dB", "-12.0 dB" or "-∞ dB"
+export const formatFaderDb = (position) => {
+  const db = faderToDb(position);
+  if (db === -Infinity) return '-∞ dB';
+  const rounded = Math.round(db * 10) / 10;
+  return `${rounded > 0 ? '+' : ''}${rounded.toFixed(1)} dB`;
+};
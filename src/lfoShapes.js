@@ -0,0 +1,16 @@
+// Volume LFO shapes, shared by the live mixer and the offline renderer
+// Periodic shapes run a Tone oscillator of the given type; random shapes pick a new value once per cycle
+
+export const LFO_SHAPES = [
+  { id: 'sine', label: 'Sine', type: 'sine' },
+  { id: 'triangle', label: 'Triangle', type: 'triangle' },
+  { id: 'square', label: 'Square', type: 'square' },
+  { id: 'rampUp', label: 'Ramp Up', type: 'sawtooth' },
+  { id: 'rampDown', label: 'Ramp Down', type: 'sawtooth', inverted: true },
+  { id: 'sampleHold', label: 'S&H', random: 'step' },
+  { id: 'smoothRandom', label: 'Smooth Rnd', random: 'glide' },
+];
+
+export const LFO_SHAPE_IDS = LFO_SHAPES.map((shape) => shape.id);
+
+export const findLfoShape = (id) => LFO_SHAPES.find((shape) => shape.id === id) || LFO_SHAPES[0];
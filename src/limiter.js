@@ -0,0 +1,73 @@
+import * as Tone from 'tone';
+
+// Master-bus protection shared by the live mixer and the offline renderer: a fast limiter catches sustained overs,
+// then a soft clipper rounds off whatever gets past the limiter's attack
+// Neither touches the master volume setting; they only lower the level while the signal is too hot
+
+export const LIMITER_THRESHOLD_DB = -1; // dBFS where limiting starts
+const SOFT_CLIP_KNEE = 0.9; // Samples below this pass unchanged; above it they bend towards ±1
+const CLIP_RANGE = 2; // The clipper's curve covers ±2 (+6 dBFS); anything hotter is held at its top
+
+// Straight up to the knee, then a tanh curve that approaches ±1 smoothly
+const softClip = (x) => {
+  const magnitude = Math.abs(x);
+  if (magnitude <= SOFT_CLIP_KNEE) return x;
+  const headroom = 1 - SOFT_CLIP_KNEE;
+  return Math.sign(x) * (SOFT_CLIP_KNEE + headroom * Math.tanh((magnitude - SOFT_CLIP_KNEE) / headroom));
+};
+
+// input -> limiter -> soft clipper -> output
+// A wave shaper only reads inputs from -1 to 1, so the signal is scaled down into that range and the curve scales it back
+export const createMasterLimiter = () => {
+  const limiter = new Tone.Limiter(LIMITER_THRESHOLD_DB);
+  const scale = new Tone.Gain(1 / CLIP_RANGE);
+  const clipper = new Tone.WaveShaper((x) => softClip(x * CLIP_RANGE), 4096);
+  limiter.chain(scale, clipper);
+
+  return {
+    input: limiter,
+    // Gain reduction in dB right now, 0 or below
+    get reduction() {
+      return limiter.reduction;
+    },
+    connect(destination) {
+      clipper.connect(destination);
+      return this;
+    },
+    toDestination() {
+      clipper.toDestination();
+      return this;
+    },
+    dispose() {
+      limiter.dispose();
+      scale.dispose();
+      clipper.dispose();
+    },
+  };
+};
+
+// Equal-power gains of a mono channel into the left and right outputs, at its most extreme pans
+// A pan range covers a pan LFO's sweep
+const channelSideGains = ([lowPan, highPan]) => ({
+  left: Math.cos(((lowPan + 1) / 2) * (Math.PI / 2)),
+  right: Math.sin(((highPan + 1) / 2) * (Math.PI / 2)),
+});
+
+// Worst-case output peak, as a gain, if every channel reaches its peak at the same moment
+// Beating partials drift in and out of phase, so sooner or later their peaks do line up
+// channels: [{ gain, panRange: [min, max] }], with each gain at the top of its volume LFO
+export const predictPeak = (channels, masterGain, masterPan) => {
+  let left = 0;
+  let right = 0;
+  channels.forEach(({ gain, panRange }) => {
+    const sides = channelSideGains(panRange);
+    left += gain * sides.left;
+    right += gain * sides.right;
+  });
+
+  // The master panner (a stereo panner with stereo input) folds part of one side into the other
+  const x = masterPan <= 0 ? masterPan + 1 : masterPan;
+  const [fold, keep] = [Math.cos(x * (Math.PI / 2)), Math.sin(x * (Math.PI / 2))];
+  const [outLeft, outRight] = masterPan <= 0 ? [left + right * fold, right * keep] : [left * fold, right + left * keep];
+  return Math.max(outLeft, outRight) * masterGain;
+};
@@ -0,0 +1,106 @@
+// Peak and RMS level meters for the mixer strips, measured from Tone analysers and drawn straight to canvases
+// Drawing outside React keeps a full mixer of meters from re-rendering the app every frame
+
+export const METER_FLOOR_DB = -60;
+export const METER_SCALE_MARKS = [0, -6, -12, -18, -24, -36, -48, -60]; // dBFS
+
+const PEAK_HOLD_SECONDS = 1.5;
+const PEAK_FALL_DB_PER_SECOND = 24; // Meter bars fall this fast once the level drops
+const CLIP_LEVEL = 1; // 0 dBFS
+
+export const gainToDb = (gain) => (gain > 0 ? 20 * Math.log10(gain) : -Infinity);
+
+// Height of a level on the meter, 0 (floor) to 1 (0 dBFS)
+export const dbToMeterPosition = (db) => Math.max(0, Math.min(1, (db - METER_FLOOR_DB) / -METER_FLOOR_DB));
+
+// Peak and RMS of one block of samples, as gains
+const measureBlock = (samples) => {
+  let peak = 0;
+  let sumOfSquares = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const magnitude = Math.abs(samples[i]);
+    if (magnitude > peak) peak = magnitude;
+    sumOfSquares += samples[i] * samples[i];
+  }
+  return { peak, rms: Math.sqrt(sumOfSquares / samples.length) };
+};
+
+// Per-channel display state: the falling bars, the held peak and the clip latch
+// A meter has one of these per audio channel (one for a mono strip, two for the stereo master)
+export const createMeterState = (channelCount) => ({
+  lastTime: null,
+  channels: Array.from({ length: channelCount }, () => ({
+    peakDb: -Infinity,
+    rmsDb: -Infinity,
+    holdDb: -Infinity,
+    holdUntil: 0,
+    clipped: false,
+  })),
+});
+
+// Fold the analyser's latest block into the meter state; time is in seconds
+export const updateMeter = (state, analyserValue, time) => {
+  const blocks = Array.isArray(analyserValue) ? analyserValue : [analyserValue];
+  const elapsed = state.lastTime === null ? 0 : time - state.lastTime;
+  state.lastTime = time;
+  const fall = PEAK_FALL_DB_PER_SECOND * elapsed;
+
+  blocks.forEach((samples, idx) => {
+    const channel = state.channels[idx];
+    const { peak, rms } = measureBlock(samples);
+    const peakDb = gainToDb(peak);
+    channel.peakDb = Math.max(peakDb, channel.peakDb - fall);
+    channel.rmsDb = Math.max(gainToDb(rms), channel.rmsDb - fall);
+    if (peakDb >= channel.holdDb || time > channel.holdUntil) {
+      channel.holdDb = peakDb;
+      channel.holdUntil = time + PEAK_HOLD_SECONDS;
+    }
+    if (peak >= CLIP_LEVEL) channel.clipped = true;
+  });
+};
+
+export const resetClip = (state) => {
+  state.channels.forEach((channel) => {
+    channel.clipped = false;
+  });
+};
+
+export const METER_CAP_HEIGHT = 5; // px above the 0 dBFS line for the clip light
+const CLIP_HEIGHT = METER_CAP_HEIGHT - 1;
+
+// The top 6 dB turn amber as a warning
+const levelColor = (db) => (db >= -6 ? '#f59e0b' : '#22d3ee');
+
+// Draw a meter's bars side by side: RMS as the solid bar, peak as a dimmer bar behind it,
+// the held peak as a line and a red cap while the clip latch is set
+export const drawMeter = (canvas, state) => {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const meterHeight = height - METER_CAP_HEIGHT;
+  const gap = 1;
+  const barWidth = (width - gap * (state.channels.length - 1)) / state.channels.length;
+
+  ctx.clearRect(0, 0, width, height);
+  state.channels.forEach((channel, idx) => {
+    const x = idx * (barWidth + gap);
+    const barTop = (db) => METER_CAP_HEIGHT + meterHeight * (1 - dbToMeterPosition(db));
+
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(x, METER_CAP_HEIGHT, barWidth, meterHeight);
+
+    ctx.globalAlpha = 0.35;
+    ctx.fillStyle = levelColor(channel.peakDb);
+    ctx.fillRect(x, barTop(channel.peakDb), barWidth, height - barTop(channel.peakDb));
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = levelColor(channel.rmsDb);
+    ctx.fillRect(x, barTop(channel.rmsDb), barWidth, height - barTop(channel.rmsDb));
+
+    if (channel.holdDb > METER_FLOOR_DB) {
+      ctx.fillStyle = channel.holdDb >= 0 ? '#dc2626' : '#f3f4f6';
+      ctx.fillRect(x, Math.min(barTop(channel.holdDb), height - 2), barWidth, 2);
+    }
+
+    ctx.fillStyle = channel.clipped ? '#dc2626' : '#262626';
+    ctx.fillRect(x, 0, barWidth, CLIP_HEIGHT);
+  });
+};
@@ -0,0 +1,21 @@
+// Metronome click shared by the live metronome and the offline click stem
+
+export const METRONOME_SYNTH_OPTIONS = {
+  pitchDecay: 0.008,
+  octaves: 2,
+  envelope: {
+    attack: 0.001,
+    decay: 0.1,
+    sustain: 0,
+    release: 0.1,
+  },
+};
+
+// Play one quarter-note click; higher pitch and velocity on the downbeat of each bar
+export const triggerClick = (synth, beatCount, time) => {
+  const isDownbeat = beatCount % 4 === 0;
+  const pitch = isDownbeat ? 'C5' : 'C4';
+  const velocity = isDownbeat ? 0.8 : 0.5;
+
+  synth.triggerAttackRelease(pitch, '16n', time, velocity);
+};
@@ -0,0 +1,148 @@
+import * as Tone from 'tone';
+import { findLfoShape } from './lfoShapes.js';
+import { faderToGain } from './faderLaw.js';
+
+// LFO modulation shared by the live mixer and the offline renderer
+// The LFOs run in the audio graph, so they stay sample-accurate when the main thread is busy or the tab is hidden
+
+// How far a volume LFO swings either side of a 0-1 fader position
+// At 100% amount, the level moves through its full possible range centered on the base value
+export const volumeLfoDepth = (baseVol, amount) => Math.min(1 - baseVol, baseVol, 0.5) * amount;
+
+// Turns a fader-position signal into gain on the audio clock, so volume LFOs swing along the fader law
+// The shaper's table spans -1 to 1; negative positions are silent
+export const createFaderCurve = () => new Tone.WaveShaper((position) => faderToGain(position), 4096);
+
+// A periodic shape: a Tone oscillator, flipped for the falling ramp
+const createWaveSource = (shape, rate, phase, destination) => {
+  const osc = new Tone.Oscillator({ frequency: rate, type: shape.type, phase });
+  const polarity = new Tone.Multiply(shape.inverted ? -1 : 1);
+  osc.chain(polarity, destination);
+
+  return {
+    rate: osc.frequency,
+    start(time) {
+      osc.start(time);
+    },
+    stop(time) {
+      osc.stop(time);
+    },
+    rampRate(value, rampTime) {
+      osc.frequency.rampTo(value, rampTime);
+    },
+    setPhase(degrees) {
+      osc.phase = degrees;
+    },
+    dispose() {
+      osc.dispose();
+      polarity.dispose();
+    },
+  };
+};
+
+// A random shape: a clock picks a new -1 to 1 value each cycle, either held or glided to
+// The phase offset delays the first new value by that fraction of a cycle; the starting value holds until then
+const createRandomSource = (shape, rate, phase, destination) => {
+  let phaseOffset = phase;
+  const signal = new Tone.Signal(0).connect(destination);
+  const nextValue = () => Math.random() * 2 - 1;
+  const clock = new Tone.Clock((time) => {
+    if (shape.random === 'step') {
+      signal.setValueAtTime(nextValue(), time);
+    } else {
+      signal.linearRampToValueAtTime(nextValue(), time + 1 / clock.frequency.getValueAtTime(time));
+    }
+  }, rate);
+
+  return {
+    rate: clock.frequency,
+    start(time = Tone.now()) {
+      signal.cancelScheduledValues(time);
+      signal.setValueAtTime(nextValue(), time);
+      clock.start(time + phaseOffset / 360 / clock.frequency.getValueAtTime(time));
+    },
+    stop(time) {
+      clock.stop(time);
+    },
+    rampRate(value, rampTime) {
+      clock.frequency.rampTo(value, rampTime);
+    },
+    // Takes effect on the next restart
+    setPhase(degrees) {
+      phaseOffset = degrees;
+    },
+    dispose() {
+      clock.dispose();
+      signal.dispose();
+    },
+  };
+};
+
+const createSource = (shape, rate, phase, destination) => (
+  shape.random
+    ? createRandomSource(shape, rate, phase, destination)
+    : createWaveSource(shape, rate, phase, destination)
+);
+
+// An LFO scaled and offset on the audio clock: output = center + depth * lfo, where lfo runs -1 to 1
+// Depth and center are signals, so level changes ramp instead of stepping
+// Pan modulators need no clamping: the panner limits its input to -1 (L) to 1 (R)
+export const createModulator = ({ shape = 'sine', rate, phase = 0, depth = 0, center = 0 }) => {
+  const scale = new Tone.Multiply(depth);
+  const offset = new Tone.Add(center);
+  scale.connect(offset);
+
+  let currentShape = findLfoShape(shape);
+  let currentRate = rate;
+  let currentPhase = phase;
+  let source = createSource(currentShape, currentRate, currentPhase, scale);
+  let isStarted = false;
+
+  return {
+    depth: scale.factor,
+    center: offset.addend,
+    output: offset,
+    // The rate as a param, for scheduling; a new shape brings a new one
+    get rate() {
+      return source.rate;
+    },
+    start(time) {
+      source.start(time);
+      isStarted = true;
+      return this;
+    },
+    // Jump back to the start of the cycle (plus the phase offset)
+    restart(time) {
+      source.stop(time);
+      source.start(time);
+      return this;
+    },
+    rampRate(value, rampTime) {
+      currentRate = value;
+      source.rampRate(value, rampTime);
+    },
+    setPhase(degrees) {
+      if (degrees === currentPhase) return;
+      currentPhase = degrees;
+      source.setPhase(degrees);
+    },
+    // A new shape starts from the top of its cycle
+    setShape(id) {
+      const nextShape = findLfoShape(id);
+      if (nextShape === currentShape) return;
+      currentShape = nextShape;
+      source.dispose();
+      source = createSource(currentShape, currentRate, currentPhase, scale);
+      if (isStarted) source.start(Tone.now());
+    },
+    connect(destination) {
+      offset.connect(destination);
+      return this;
+    },
+    dispose() {
+      source.dispose();
+      scale.dispose();
+      offset.dispose();
+    },
+  };
+};
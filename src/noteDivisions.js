@@ -0,0 +1,67 @@
+// Note divisions for beat ratios
+// A channel's ratio is the number of beats it produces per quarter-note of the bpm,
+// so 1 = quarter notes, 2 = eighth notes, 0.25 = whole notes.
+
+const BASE_NOTES = [
+  { ratio: 0.25, label: '1', name: 'Whole note', symbol: 'whole' },
+  { ratio: 0.5, label: '1/2', name: 'Half note', symbol: 'half' },
+  { ratio: 1, label: '1/4', name: 'Quarter note', symbol: 'quarter' },
+  { ratio: 2, label: '1/8', name: 'Eighth note', symbol: 'eighth' },
+  { ratio: 4, label: '1/16', name: 'Sixteenth note', symbol: 'sixteenth' },
+  { ratio: 8, label: '1/32', name: 'Thirty-second note', symbol: 'thirtySecond' },
+  { ratio: 16, label: '1/64', name: 'Sixty-fourth note', symbol: 'thirtySecond' },
+];
+
+// Straight, triplet (3 in the time of 2) and dotted (1.5x as long) versions of each note
+export const NOTE_DIVISIONS = BASE_NOTES.flatMap((note) => [
+  { ...note, kind: 'straight' },
+  { ...note, ratio: note.ratio * 1.5, label: `${note.label}T`, name: `${note.name} triplet`, kind: 'triplet' },
+  { ...note, ratio: (note.ratio * 2) / 3, label: `${note.label}D`, name: `Dotted ${note.name.toLowerCase()}`, kind: 'dotted' },
+]);
+
+const RATIO_TOLERANCE = 1e-6;
+
+// Find the note division for a ratio (sign ignored), or null if it isn't a musical division
+export const findDivision = (ratio) => (
+  NOTE_DIVISIONS.find((division) => Math.abs(division.ratio - Math.abs(ratio)) < RATIO_TOLERANCE) || null
+);
+
+// Short numeric form of a ratio, e.g. 0.6667 or -2
+export const formatRatio = (ratio) => String(Number(ratio.toFixed(4)));
+
+// Label for a channel's ratio: the note division (with a minus sign for offsets below the root) or ×ratio
+export const getRatioLabel = (ratio) => {
+  const division = findDivision(ratio);
+  if (!division) return `×${formatRatio(ratio)}`;
+  return ratio < 0 ? `−${division.label}` : division.label;
+};
+
+// Parse a typed ratio: decimals, fractions like 2/3 or -3/2, with an optional leading × or x
+export const parseRatio = (text) => {
+  const match = text.trim().replace(/^[×x]\s*/i, '').match(/^([+-]?\d*\.?\d+)\s*(?:\/\s*(\d*\.?\d+))?$/);
+  if (!match) return null;
+  const value = match[2] !== undefined ? parseFloat(match[1]) / parseFloat(match[2]) : parseFloat(match[1]);
+  return Number.isFinite(value) ? value : null;
+};
+
+// Whole-note periods are labelled in bars, to read on from the multi-bar ones
+const WHOLE_NOTE_SYNC_LABELS = { straight: '1 bar', triplet: '2/3 bar', dotted: '1.5 bars' };
+
+// Tempo-synced LFO periods, slowest first: 8 bars (in 4/4) down to sixteenth notes
+// Like channel ratios, each ratio is LFO cycles per quarter note
+export const LFO_SYNC_DIVISIONS = [
+  ...[8, 4, 2].map((bars) => ({ ratio: 0.25 / bars, label: `${bars} bars`, name: `${bars} bars`, kind: 'straight' })),
+  ...NOTE_DIVISIONS
+    .filter((division) => division.ratio <= 4)
+    .map((division) => (division.symbol === 'whole' ? { ...division, label: WHOLE_NOTE_SYNC_LABELS[division.kind] } : division)),
+].sort((a, b) => a.ratio - b.ratio);
+
+// Find the LFO sync division for a ratio, or null if there isn't one
+export const findLfoSyncDivision = (ratio) => (
+  LFO_SYNC_DIVISIONS.find((division) => Math.abs(division.ratio - ratio) < RATIO_TOLERANCE) || null
+);
+
+// The sync division closest to a ratio on a log scale, for switching a free-running LFO to sync
+export const nearestLfoSyncDivision = (ratio) => LFO_SYNC_DIVISIONS.reduce((nearest, division) => (
+  Math.abs(Math.log(division.ratio / ratio)) < Math.abs(Math.log(nearest.ratio / ratio)) ? division : nearest
+));
@@ -0,0 +1,145 @@
+import * as Tone from 'tone';
+import { volumeLfoDepth, createModulator, createFaderCurve } from './modulation.js';
+import { createMasterLimiter } from './limiter.js';
+import { METRONOME_SYNTH_OPTIONS, triggerClick } from './metronome.js';
+import { applyWaveform } from './waveforms.js';
+import { createPitchSource, createChannelPitch } from './pitch.js';
+import { laneValueAt, scheduleLane } from './automation.js';
+
+// Offline rendering of a patch, mirroring the live audio graph:
+// oscillator (frequency from the shared root and bpm signals) -> gain (volume LFO through the fader curve)
+// -> panner (pan LFO) -> master gain (through the fader curve) -> master panner -> limiter (mixdown only)
+//
+// A render spec looks like:
+// {
+//   rootFreq, bpm,
+//   channels: [{ bpmFactor, beatOffset, waveform, partials, volume, muted, lfoShape, lfoRate, lfoSyncRatio, lfoAmount, lfoPhase, pan, panLfoRate, panLfoAmount }],
+//   master: { volume, pan },
+//   automation: { start, bpm, rootFreq, masterVolume, volumes },
+// }
+// Volumes are fader positions (see faderLaw.js); bpmFactor and beatOffset are a channel's pitch terms (see patch.js)
+// The render plays the automation lanes (volumes has one per channel) from the timeline position start, the way
+// the live mixer does while the timeline plays; a parameter whose lane is empty stays at its setting
+
+export const SAMPLE_RATES = [44100, 48000, 96000];
+
+const FADE_TIME = 0.01; // Short fade at both ends to avoid clicks
+
+// A parameter's value at the start of the render: its lane's, if it has points
+const startValue = (points, setting, start) => laneValueAt(points, start) ?? setting;
+
+// The root and bpm signals every channel reads
+const buildPitch = (spec) => {
+  const { automation } = spec;
+  const pitch = createPitchSource({
+    rootFreq: startValue(automation.rootFreq, spec.rootFreq, automation.start),
+    bpm: startValue(automation.bpm, spec.bpm, automation.start),
+  });
+  scheduleLane(pitch.root, automation.rootFreq, automation.start, 0);
+  scheduleLane(pitch.bpm, automation.bpm, automation.start, 0);
+  return pitch;
+};
+
+// The LFOs use the same modulators as the live mixer, starting in phase at the top of the render
+const buildChannel = (channel, idx, spec, pitch, destination) => {
+  const { automation } = spec;
+  const volumeLane = automation.volumes[idx];
+  const volume = startValue(volumeLane, channel.volume, automation.start);
+  const syncedRate = (bpm) => (bpm / 60) * channel.lfoSyncRatio;
+
+  const osc = new Tone.Oscillator(0, 'sine');
+  createChannelPitch(pitch, channel).connect(osc.frequency);
+  applyWaveform(osc, channel.waveform, channel.partials);
+  const panner = new Tone.Panner(0).connect(destination);
+  const gain = new Tone.Gain(0).connect(panner);
+  osc.connect(gain);
+  osc.start(0);
+
+  const volumeLfo = createModulator({
+    shape: channel.lfoShape,
+    rate: channel.lfoSyncRatio > 0 ? syncedRate(startValue(automation.bpm, spec.bpm, automation.start)) : channel.lfoRate,
+    phase: channel.lfoPhase,
+    depth: volumeLfoDepth(volume, channel.lfoAmount),
+    center: volume,
+  }).connect(createFaderCurve().connect(gain.gain)).start(0);
+  scheduleLane(volumeLfo.center, volumeLane, automation.start, 0);
+  scheduleLane(volumeLfo.depth, volumeLane, automation.start, 0, (value) => volumeLfoDepth(value, channel.lfoAmount));
+  if (channel.lfoSyncRatio > 0) scheduleLane(volumeLfo.rate, automation.bpm, automation.start, 0, syncedRate);
+
+  createModulator({
+    rate: channel.panLfoRate,
+    depth: channel.panLfoAmount,
+    center: channel.pan,
+  }).connect(panner.pan).start(0);
+};
+
+// master level (fader position) -> fader curve -> gain, then a fade in and out on the way to the panner
+// Only the mixdown is limited: the limiter acts on the sum, so limiting each stem on its own would stop them adding up to it
+const buildMaster = (spec, duration, { limit = true } = {}) => {
+  const { master, automation } = spec;
+  const panner = new Tone.Panner(master.pan);
+  if (limit) {
+    panner.connect(createMasterLimiter().toDestination().input);
+  } else {
+    panner.toDestination();
+  }
+  const fader = new Tone.Gain(1).connect(panner);
+  const gain = new Tone.Gain(0).connect(fader);
+  const level = new Tone.Signal(startValue(automation.masterVolume, master.volume, automation.start));
+  level.connect(createFaderCurve().connect(gain.gain));
+  scheduleLane(level, automation.masterVolume, automation.start, 0);
+
+  const fade = Math.min(FADE_TIME, duration / 4);
+  fader.gain.setValueAtTime(0, 0);
+  fader.gain.linearRampToValueAtTime(1, fade);
+  fader.gain.setValueAtTime(1, duration - fade);
+  fader.gain.linearRampToValueAtTime(0, duration);
+
+  return gain;
+};
+
+// Render the patch to a stereo AudioBuffer
+export const renderPatch = async (spec, { duration, sampleRate }) => {
+  const buffer = await Tone.Offline(() => {
+    const master = buildMaster(spec, duration);
+    const pitch = buildPitch(spec);
+    spec.channels.forEach((channel, idx) => {
+      if (!channel.muted) {
+        buildChannel(channel, idx, spec, pitch, master);
+      }
+    });
+  }, duration, 2, sampleRate);
+
+  return buffer.get();
+};
+
+// Render a single channel through the master bus, unlimited, so the stems sum to the mixdown before its limiter
+// The channel's mute is ignored: leaving it out of the mix is a decision for the DAW
+export const renderChannelStem = async (spec, idx, { duration, sampleRate }) => {
+  const buffer = await Tone.Offline(() => {
+    const master = buildMaster(spec, duration, { limit: false });
+    buildChannel(spec.channels[idx], idx, spec, buildPitch(spec), master);
+  }, duration, 2, sampleRate);
+
+  return buffer.get();
+};
+
+// Render the metronome on its own, using the same click as the live metronome and following the bpm lane
+export const renderClickStem = async (spec, { duration, sampleRate }) => {
+  const buffer = await Tone.Offline(({ transport }) => {
+    const synth = new Tone.MembraneSynth(METRONOME_SYNTH_OPTIONS).toDestination();
+
+    let beatCount = 0;
+    new Tone.Loop((time) => {
+      triggerClick(synth, beatCount, time);
+      beatCount++;
+    }, '4n').start(0);
+
+    const { automation } = spec;
+    transport.bpm.value = startValue(automation.bpm, spec.bpm, automation.start);
+    scheduleLane(transport.bpm, automation.bpm, automation.start, 0);
+    transport.start(0);
+  }, duration, 2, sampleRate);
+
+  return buffer.get();
+};
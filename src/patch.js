@@ -0,0 +1,268 @@
+import { WAVEFORM_IDS, DEFAULT_PARTIALS, MAX_PARTIALS } from './waveforms.js';
+import { LFO_SHAPE_IDS } from './lfoShapes.js';
+import { findLfoSyncDivision } from './noteDivisions.js';
+import { AUTOMATION_CURVE_IDS, DEFAULT_AUTOMATION, GLOBAL_LANES } from './automation.js';
+import { BEAT_MODE_IDS } from './brainwaves.js';
+import { gainToFader } from './faderLaw.js';
+
+// Patch model: everything needed to recreate a sound in the mixer
+
+// The first channel is always the root; the others are offset by bpm/60 * ratio Hz
+export const MAX_CHANNELS = 16;
+
+export const DEFAULT_PATCH = {
+  bpm: 127,
+  rootFreq: 440,
+  masterVolume: 0.54, // Fader position (see faderLaw.js), about -10 dB
+  masterPan: 0,
+  stereoMode: 'monaural',
+  beatMode: 'tempo', // 'tempo' derives each beat from ratios and the bpm, 'hz' uses beatFrequencies
+  ratios: [0, 0.25, 0.5, 1, 2, 4, 8, 16], // Beats per quarter note (see noteDivisions.js)
+  beatFrequencies: [0, 1, 2, 4, 6, 10, 20, 40], // Hz above (or below) the root, used in brainwave mode
+  volumes: [0.63, 0, 0, 0.63, 0, 0, 0, 0], // Fader positions, 0.63 is about -6 dB and 0.75 is unity gain
+  muted: [false, false, false, false, false, false, false, false],
+  waveforms: ['sine', 'sine', 'sine', 'sine', 'sine', 'sine', 'sine', 'sine'],
+  partials: Array.from({ length: 8 }, () => DEFAULT_PARTIALS), // Harmonic amplitudes for the custom waveform
+  lfoRates: [0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5], // Hz
+  lfoSyncRatios: [0, 0, 0, 0, 0, 0, 0, 0], // LFO cycles per quarter note when tempo-synced, 0 = free-running at lfoRates
+  lfoAmounts: [0, 0, 0, 0, 0, 0, 0, 0], // 0-1 (percentage)
+  lfoShapes: ['sine', 'sine', 'sine', 'sine', 'sine', 'sine', 'sine', 'sine'],
+  lfoPhases: [0, 0, 0, 0, 0, 0, 0, 0], // Degrees into the cycle after a reset
+  channelPans: [-1, 1, 1, 1, 1, 1, 1, 1], // Used in mixed mode (-1 = L, 1 = R)
+  panLfoRates: [0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1], // Hz
+  panLfoAmounts: [0, 0, 0, 0, 0, 0, 0, 0], // 0-1 (fraction of full L-R width)
+  volumeAutomation: [[], [], [], [], [], [], [], []], // Breakpoint lane for each channel volume (see automation.js)
+  automation: DEFAULT_AUTOMATION, // Timeline length and the bpm, rootFreq and masterVolume lanes
+};
+
+export const CHANNEL_FIELDS = ['ratios', 'beatFrequencies', 'volumes', 'muted', 'waveforms', 'partials', 'lfoRates', 'lfoSyncRatios', 'lfoAmounts', 'lfoShapes', 'lfoPhases', 'channelPans', 'panLfoRates', 'panLfoAmounts', 'volumeAutomation'];
+
+// Settings for a channel added beyond the default table
+export const NEW_CHANNEL = {
+  ratios: 1,
+  beatFrequencies: 10,
+  volumes: 0,
+  muted: false,
+  waveforms: 'sine',
+  partials: DEFAULT_PARTIALS,
+  lfoRates: 0.5,
+  lfoSyncRatios: 0,
+  lfoAmounts: 0,
+  lfoShapes: 'sine',
+  lfoPhases: 0,
+  channelPans: 1,
+  panLfoRates: 0.1,
+  panLfoAmounts: 0,
+  volumeAutomation: [],
+};
+
+// Default value of a per-channel field for the channel at idx
+const channelDefault = (field, idx) => (
+  idx < DEFAULT_PATCH[field].length ? DEFAULT_PATCH[field][idx] : NEW_CHANNEL[field]
+);
+
+// Build a patch from partial settings, filling anything missing from the defaults
+// The channel count follows the ratios list when one is given
+export const createPatch = (overrides = {}) => {
+  const patch = { ...DEFAULT_PATCH, ...overrides };
+  const channelCount = Array.isArray(overrides.ratios) ? overrides.ratios.length : DEFAULT_PATCH.ratios.length;
+  CHANNEL_FIELDS.forEach((field) => {
+    patch[field] = Array.from({ length: channelCount }, (_, idx) => (
+      Array.isArray(overrides[field]) && overrides[field][idx] !== undefined ? overrides[field][idx] : channelDefault(field, idx)
+    ));
+  });
+  return patch;
+};
+
+// Allowed ranges, matching the inputs in the UI
+export const PATCH_LIMITS = {
+  bpm: { min: 1, max: 300 },
+  rootFreq: { min: 20, max: 2000 },
+  masterVolume: { min: 0, max: 1 },
+  masterPan: { min: -1, max: 1 },
+  ratios: { min: -64, max: 64 },
+  beatFrequencies: { min: -500, max: 500 },
+  partials: { min: 0, max: 1 },
+  volumes: { min: 0, max: 1 },
+  lfoRates: { min: 0.002, max: 5 },
+  lfoAmounts: { min: 0, max: 1 },
+  lfoPhases: { min: 0, max: 360 },
+  channelPans: { min: -1, max: 1 },
+  panLfoRates: { min: 0.002, max: 5 },
+  panLfoAmounts: { min: 0, max: 1 },
+  automationLength: { min: 60, max: 7200 }, // seconds
+};
+
+export const STEREO_MODE_IDS = ['monaural', 'binaural', 'mixed'];
+
+// The lowest a channel may sit; beats below the root must not take a channel to 0 Hz or under
+export const MIN_CHANNEL_FREQUENCY = 1; // Hz
+
+// Each channel sounds at rootFreq + bpm * bpmFactor + beatOffset Hz: tempo mode scales the bpm by the ratio,
+// brainwave mode adds a fixed beat (see pitch.js, which keeps the bpm as a signal so it can be automated)
+export const getPitchTerms = ({ beatMode, ratios, beatFrequencies }) => ratios.map((ratio, idx) => {
+  if (idx === 0) return { bpmFactor: 0, beatOffset: 0 };
+  return beatMode === 'hz' ? { bpmFactor: 0, beatOffset: beatFrequencies[idx] } : { bpmFactor: ratio / 60, beatOffset: 0 };
+});
+
+// Each channel's offset from the root in Hz
+export const getBeatOffsets = (patch) => getPitchTerms(patch).map(({ bpmFactor, beatOffset }) => patch.bpm * bpmFactor + beatOffset);
+
+// PATCH_LIMITS for the root, bpm and beats, narrowed so that, with the rest of the patch as it is, no channel drops
+// below MIN_CHANNEL_FREQUENCY; limits are rounded inwards to the fields' 3 decimal places
+export const getFrequencyLimits = (patch) => {
+  const { rootFreq, bpm, beatMode, ratios } = patch;
+  const lowestOffset = Math.min(0, ...getBeatOffsets(patch));
+  const lowestRatio = Math.min(0, ...ratios.slice(1));
+  const roundUp = (value) => Math.ceil(value * 1000) / 1000;
+  const roundDown = (value) => Math.floor(value * 1000) / 1000;
+  const headroom = rootFreq - MIN_CHANNEL_FREQUENCY; // How far below the root a channel can go
+
+  return {
+    rootFreq: { ...PATCH_LIMITS.rootFreq, min: Math.max(PATCH_LIMITS.rootFreq.min, roundUp(MIN_CHANNEL_FREQUENCY - lowestOffset)) },
+    bpm: beatMode === 'tempo' && lowestRatio < 0
+      ? { ...PATCH_LIMITS.bpm, max: Math.min(PATCH_LIMITS.bpm.max, roundDown((headroom * 60) / -lowestRatio)) }
+      : PATCH_LIMITS.bpm,
+    ratios: { ...PATCH_LIMITS.ratios, min: Math.max(PATCH_LIMITS.ratios.min, roundUp((-headroom * 60) / bpm)) },
+    beatFrequencies: { ...PATCH_LIMITS.beatFrequencies, min: Math.max(PATCH_LIMITS.beatFrequencies.min, roundUp(-headroom)) },
+  };
+};
+
+const describe = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+const checkNumber = (errors, path, value, { min, max }) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    errors.push(`${path} must be a number (got ${describe(value)})`);
+  } else if (value < min || value > max) {
+    errors.push(`${path} must be between ${min} and ${max} (got ${value})`);
+  }
+};
+
+// Check an automation lane: points inside the timeline, in time order, with values the parameter accepts
+const checkLane = (errors, path, points, limits, length) => {
+  if (!Array.isArray(points)) {
+    errors.push(`${path} must be a list of points (got ${describe(points)})`);
+    return;
+  }
+  points.forEach((point, idx) => {
+    const pointPath = `${path}[${idx}]`;
+    if (!point || typeof point !== 'object' || Array.isArray(point)) {
+      errors.push(`${pointPath} must be a { time, value, curve } point (got ${describe(point)})`);
+      return;
+    }
+    checkNumber(errors, `${pointPath}.time`, point.time, { min: 0, max: length });
+    checkNumber(errors, `${pointPath}.value`, point.value, limits);
+    if (!AUTOMATION_CURVE_IDS.includes(point.curve)) {
+      errors.push(`${pointPath}.curve must be one of ${AUTOMATION_CURVE_IDS.join(', ')} (got ${describe(point.curve)})`);
+    }
+    if (idx > 0 && point.time < points[idx - 1].time) {
+      errors.push(`${pointPath}.time must not be earlier than the point before it`);
+    }
+  });
+};
+
+// Check a complete patch; returns a list of readable problems (empty when valid)
+export const validatePatch = (patch) => {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return ['patch must be an object'];
+  }
+
+  const errors = [];
+  ['bpm', 'rootFreq', 'masterVolume', 'masterPan'].forEach((field) => {
+    checkNumber(errors, field, patch[field], PATCH_LIMITS[field]);
+  });
+
+  if (!STEREO_MODE_IDS.includes(patch.stereoMode)) {
+    errors.push(`stereoMode must be one of ${STEREO_MODE_IDS.join(', ')} (got ${describe(patch.stereoMode)})`);
+  }
+
+  const { automation } = patch;
+  let automationLength = PATCH_LIMITS.automationLength.max;
+  if (!automation || typeof automation !== 'object' || Array.isArray(automation)) {
+    errors.push(`automation must be an object (got ${describe(automation)})`);
+  } else {
+    checkNumber(errors, 'automation.length', automation.length, PATCH_LIMITS.automationLength);
+    if (Number.isFinite(automation.length)) automationLength = automation.length;
+    GLOBAL_LANES.forEach((lane) => {
+      checkLane(errors, `automation.${lane.id}`, automation[lane.id], PATCH_LIMITS[lane.id], automationLength);
+    });
+  }
+
+  if (!BEAT_MODE_IDS.includes(patch.beatMode)) {
+    errors.push(`beatMode must be one of ${BEAT_MODE_IDS.join(', ')} (got ${describe(patch.beatMode)})`);
+  }
+
+  // The ratios list sets the channel count; every other per-channel list must match it
+  const { ratios } = patch;
+  if (!Array.isArray(ratios) || ratios.length < 1 || ratios.length > MAX_CHANNELS) {
+    errors.push(`ratios must be a list of 1 to ${MAX_CHANNELS} values (got ${Array.isArray(ratios) ? `${ratios.length} values` : describe(ratios)})`);
+    return errors;
+  }
+  if (ratios[0] !== 0) {
+    errors.push(`ratios[0] must be 0, the root channel (got ${describe(ratios[0])})`);
+  }
+  if (Array.isArray(patch.beatFrequencies) && patch.beatFrequencies[0] !== 0) {
+    errors.push(`beatFrequencies[0] must be 0, the root channel (got ${describe(patch.beatFrequencies[0])})`);
+  }
+
+  CHANNEL_FIELDS.forEach((field) => {
+    const list = patch[field];
+    if (!Array.isArray(list) || list.length !== ratios.length) {
+      errors.push(`${field} must be a list of ${ratios.length} values, one per ratio (got ${Array.isArray(list) ? `${list.length} value${list.length === 1 ? '' : 's'}` : describe(list)})`);
+      return;
+    }
+    list.forEach((value, idx) => {
+      if (field === 'muted') {
+        if (typeof value !== 'boolean') errors.push(`muted[${idx}] must be true or false (got ${describe(value)})`);
+      } else if (field === 'waveforms') {
+        if (!WAVEFORM_IDS.includes(value)) errors.push(`waveforms[${idx}] must be one of ${WAVEFORM_IDS.join(', ')} (got ${describe(value)})`);
+      } else if (field === 'lfoSyncRatios') {
+        if (value !== 0 && !findLfoSyncDivision(value)) errors.push(`lfoSyncRatios[${idx}] must be 0 or a tempo-sync division (got ${describe(value)})`);
+      } else if (field === 'lfoShapes') {
+        if (!LFO_SHAPE_IDS.includes(value)) errors.push(`lfoShapes[${idx}] must be one of ${LFO_SHAPE_IDS.join(', ')} (got ${describe(value)})`);
+      } else if (field === 'volumeAutomation') {
+        checkLane(errors, `volumeAutomation[${idx}]`, value, PATCH_LIMITS.volumes, automationLength);
+      } else if (field === 'partials') {
+        if (!Array.isArray(value) || value.length < 1 || value.length > MAX_PARTIALS) {
+          errors.push(`partials[${idx}] must be a list of 1 to ${MAX_PARTIALS} harmonic levels (got ${describe(value)})`);
+        } else {
+          value.forEach((level, n) => checkNumber(errors, `partials[${idx}][${n}]`, level, PATCH_LIMITS.partials));
+        }
+      } else {
+        checkNumber(errors, `${field}[${idx}]`, value, PATCH_LIMITS[field]);
+      }
+    });
+  });
+
+  // Each value can be in range and the channel still land at or below 0 Hz, e.g. a 20 Hz root with a ratio of -64
+  if (errors.length === 0) {
+    const beatField = patch.beatMode === 'hz' ? 'beatFrequencies' : 'ratios';
+    getBeatOffsets(patch).forEach((offset, idx) => {
+      const freq = patch.rootFreq + offset;
+      if (freq < MIN_CHANNEL_FREQUENCY) {
+        errors.push(`${beatField}[${idx}] puts the channel at ${Math.round(freq * 1000) / 1000} Hz; channels must stay at ${MIN_CHANNEL_FREQUENCY} Hz or above`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+// Volumes were linear gains before patch and link version 8; this moves a patch's volumes, including the master
+// and their automation, onto the fader law without changing how loud anything is
+// It runs before validation, so it leaves anything that isn't a number for the validator to report
+export const volumesFromGains = (patch) => {
+  const fromGain = (value) => (typeof value === 'number' ? gainToFader(value) : value);
+  const laneFromGains = (points) => (Array.isArray(points)
+    ? points.map((point) => (point && typeof point === 'object' ? { ...point, value: fromGain(point.value) } : point))
+    : points);
+  const automation = patch.automation && typeof patch.automation === 'object' ? patch.automation : null;
+
+  return {
+    ...patch,
+    masterVolume: fromGain(patch.masterVolume),
+    volumes: Array.isArray(patch.volumes) ? patch.volumes.map(fromGain) : patch.volumes,
+    volumeAutomation: Array.isArray(patch.volumeAutomation) ? patch.volumeAutomation.map(laneFromGains) : patch.volumeAutomation,
+    ...(automation ? { automation: { ...automation, masterVolume: laneFromGains(automation.masterVolume) } } : {}),
+  };
+};
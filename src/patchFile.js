@@ -0,0 +1,104 @@
+import { DEFAULT_PATCH, validatePatch, volumesFromGains } from './patch.js';
+import { DEFAULT_PARTIALS } from './waveforms.js';
+import { DEFAULT_AUTOMATION } from './automation.js';
+
+// JSON patch files, documented in PATCH_FORMAT.md
+//
+// {
+//   "format": "cosine-cartographer-patch",
+//   "version": 8,
+//   "name": "optional label",
+//   "patch": { ...every field of DEFAULT_PATCH }
+// }
+
+export const PATCH_FILE_FORMAT = 'cosine-cartographer-patch';
+export const PATCH_FILE_VERSION = 8;
+
+const channelCount = (patch) => (Array.isArray(patch.ratios) ? patch.ratios.length : 0);
+
+// Upgrade steps keyed by the version they upgrade from; each returns the patch in the next version's shape
+const MIGRATIONS = {
+  // Version 1 always had the eight fixed channels
+  1: (patch) => ({ ...patch, ratios: [0, 0.25, 0.5, 1, 2, 4, 8, 16] }),
+  // Version 2 channels were all sine waves
+  2: (patch) => ({
+    ...patch,
+    waveforms: Array.from({ length: channelCount(patch) }, () => 'sine'),
+    partials: Array.from({ length: channelCount(patch) }, () => DEFAULT_PARTIALS),
+  }),
+  // Version 3 LFOs were all sine waves starting in phase
+  3: (patch) => ({
+    ...patch,
+    lfoShapes: Array.from({ length: channelCount(patch) }, () => 'sine'),
+    lfoPhases: Array.from({ length: channelCount(patch) }, () => 0),
+  }),
+  // Version 4 LFOs all ran free
+  4: (patch) => ({
+    ...patch,
+    lfoSyncRatios: Array.from({ length: channelCount(patch) }, () => 0),
+  }),
+  // Version 5 had no automation timeline
+  5: (patch) => ({
+    ...patch,
+    volumeAutomation: Array.from({ length: channelCount(patch) }, () => []),
+    automation: DEFAULT_AUTOMATION,
+  }),
+  // Version 6 beats were always ratios of the bpm; the Hz list starts from the beats they produced
+  6: (patch) => ({
+    ...patch,
+    beatMode: 'tempo',
+    beatFrequencies: Array.isArray(patch.ratios) ? patch.ratios.map((ratio) => (patch.bpm / 60) * ratio) : [],
+  }),
+  // Version 7 volumes were linear gains rather than fader positions
+  7: volumesFromGains,
+};
+
+export class PatchFileError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'PatchFileError';
+    this.details = details;
+  }
+}
+
+export const serializePatchFile = (patch, name) => JSON.stringify({
+  format: PATCH_FILE_FORMAT,
+  version: PATCH_FILE_VERSION,
+  ...(name ? { name } : {}),
+  patch: Object.fromEntries(Object.keys(DEFAULT_PATCH).map((field) => [field, patch[field]])),
+}, null, 2);
+
+// Parse, migrate and validate a patch file; throws PatchFileError describing what was wrong
+export const parsePatchFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new PatchFileError(`The file is not valid JSON (${err.message})`);
+  }
+
+  if (!data || typeof data !== 'object' || data.format !== PATCH_FILE_FORMAT) {
+    throw new PatchFileError(`The file is not a Cosine Cartographer patch ("format" should be "${PATCH_FILE_FORMAT}")`);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new PatchFileError(`The patch has no valid "version" (got ${JSON.stringify(data.version)})`);
+  }
+  if (data.version > PATCH_FILE_VERSION) {
+    throw new PatchFileError(`The patch is version ${data.version}, but this app only reads up to version ${PATCH_FILE_VERSION}; please update the app`);
+  }
+
+  let patch = data.patch;
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new PatchFileError('The file has no "patch" settings object');
+  }
+  for (let version = data.version; version < PATCH_FILE_VERSION; version++) {
+    patch = MIGRATIONS[version](patch);
+  }
+
+  const errors = validatePatch(patch);
+  if (errors.length > 0) {
+    throw new PatchFileError('The patch has invalid settings', errors);
+  }
+
+  return { patch, name: typeof data.name === 'string' ? data.name : null };
+};
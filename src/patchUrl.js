@@ -0,0 +1,295 @@
+import { DEFAULT_PATCH, STEREO_MODE_IDS, createPatch, validatePatch, volumesFromGains } from './patch.js';
+import { WAVEFORM_IDS, DEFAULT_PARTIALS } from './waveforms.js';
+import { LFO_SHAPE_IDS } from './lfoShapes.js';
+import { AUTOMATION_CURVE_IDS, DEFAULT_AUTOMATION, GLOBAL_LANES } from './automation.js';
+import { BEAT_MODE_IDS } from './brainwaves.js';
+
+// Compact, versioned patch encoding for share links: #p=<version>.<base64url payload>
+// The payload is a JSON array with the fields in a fixed order and values rounded to what the UI can set
+
+const HASH_KEY = 'p';
+const URL_VERSION = 8;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+const roundSignificant = (value) => Number(value.toPrecision(4));
+
+// The bytes go through fromCharCode a chunk at a time: spread in one call, a long automation timeline would
+// exceed the engine's argument limit
+const CHAR_CODE_CHUNK = 0x2000;
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += CHAR_CODE_CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + CHAR_CODE_CHUNK));
+  }
+  return btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const bytes = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+// Each version appends to the previous field list:
+// version 2 added the channel ratios, version 3 the waveforms and custom partials, version 4 the LFO shapes and phases,
+// version 5 the tempo-synced LFO rates, version 6 the automation timeline, version 7 brainwave mode
+// Version 8 kept the fields but stores volumes as fader positions instead of gains (see faderLaw.js)
+// Automation points are packed as [time, value, curve index]
+const encodeLane = (points) => points.map((point) => [
+  round(point.time, 1),
+  roundSignificant(point.value),
+  AUTOMATION_CURVE_IDS.indexOf(point.curve),
+]);
+
+const encodeV8 = (patch) => [
+  round(patch.bpm, 3),
+  round(patch.rootFreq, 3),
+  round(patch.masterVolume, 3),
+  round(patch.masterPan, 2),
+  STEREO_MODE_IDS.indexOf(patch.stereoMode),
+  patch.volumes.map((vol) => round(vol, 3)),
+  patch.muted.reduce((bits, isMuted, idx) => (isMuted ? bits | (1 << idx) : bits), 0),
+  patch.lfoRates.map(roundSignificant),
+  patch.lfoAmounts.map((amount) => round(amount, 3)),
+  patch.channelPans.map((pan) => round(pan, 2)),
+  patch.panLfoRates.map(roundSignificant),
+  patch.panLfoAmounts.map((amount) => round(amount, 3)),
+  patch.ratios.map((ratio) => round(ratio, 6)),
+  patch.waveforms.map((waveform) => WAVEFORM_IDS.indexOf(waveform)),
+  // Partials only matter for custom channels; the rest are stored as 0 to keep links short
+  patch.partials.map((partials, idx) => (
+    patch.waveforms[idx] === 'custom' ? partials.map((level) => round(level, 2)) : 0
+  )),
+  patch.lfoShapes.map((shape) => LFO_SHAPE_IDS.indexOf(shape)),
+  patch.lfoPhases.map((phase) => round(phase, 0)),
+  patch.lfoSyncRatios.map((ratio) => round(ratio, 6)),
+  [round(patch.automation.length, 0), ...GLOBAL_LANES.map((lane) => encodeLane(patch.automation[lane.id]))],
+  // Most channels have no volume lane; those are stored as 0
+  patch.volumeAutomation.map((points) => (points.length > 0 ? encodeLane(points) : 0)),
+  BEAT_MODE_IDS.indexOf(patch.beatMode),
+  patch.beatFrequencies.map((hz) => round(hz, 4)),
+];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isNumberList = (value, length) => Array.isArray(value) && value.length === length && value.every(isNumber);
+
+const decodeLane = (packed) => {
+  if (!Array.isArray(packed) || !packed.every((point) => isNumberList(point, 3))) {
+    throw new Error('malformed automation lane');
+  }
+  return packed.map(([time, value, curveIndex]) => ({ time, value, curve: AUTOMATION_CURVE_IDS[curveIndex] }));
+};
+
+// Channel lists added after version 1 are passed in, so older decoders can supply their defaults
+const decodeFields = (fields, {
+  ratios,
+  waveformIndices,
+  partialLists,
+  lfoShapeIndices,
+  lfoPhases,
+  lfoSyncRatios,
+  automation,
+  volumeAutomation,
+  beatModeIndex,
+  beatFrequencies,
+}) => {
+  const [bpm, rootFreq, masterVolume, masterPan, modeIndex, volumes, mutedBits, lfoRates, lfoAmounts, channelPans, panLfoRates, panLfoAmounts] = fields;
+  const lists = [ratios, volumes, lfoRates, lfoAmounts, channelPans, panLfoRates, panLfoAmounts];
+  if (![bpm, rootFreq, masterVolume, masterPan, mutedBits].every(isNumber)
+    || !lists.every((list) => isNumberList(list, ratios.length))
+    || !STEREO_MODE_IDS[modeIndex]
+    || !isNumberList(waveformIndices, ratios.length)
+    || !isNumberList(lfoShapeIndices, ratios.length)
+    || !isNumberList(lfoPhases, ratios.length)
+    || !isNumberList(lfoSyncRatios, ratios.length)
+    || !isNumberList(beatFrequencies, ratios.length)
+    || !BEAT_MODE_IDS[beatModeIndex]
+    || !Array.isArray(partialLists) || partialLists.length !== ratios.length
+    || !Array.isArray(volumeAutomation) || volumeAutomation.length !== ratios.length) {
+    throw new Error('malformed patch data');
+  }
+
+  const patch = createPatch({
+    bpm,
+    rootFreq,
+    masterVolume,
+    masterPan,
+    stereoMode: STEREO_MODE_IDS[modeIndex],
+    beatMode: BEAT_MODE_IDS[beatModeIndex],
+    ratios,
+    beatFrequencies,
+    volumes,
+    waveforms: waveformIndices.map((index) => WAVEFORM_IDS[index]),
+    partials: partialLists.map((partials) => (Array.isArray(partials) ? partials : DEFAULT_PARTIALS)),
+    muted: volumes.map((vol, idx) => Boolean(mutedBits & (1 << idx))),
+    lfoRates,
+    lfoSyncRatios,
+    lfoAmounts,
+    lfoShapes: lfoShapeIndices.map((index) => LFO_SHAPE_IDS[index]),
+    lfoPhases,
+    channelPans,
+    panLfoRates,
+    panLfoAmounts,
+    volumeAutomation,
+    automation,
+  });
+  if (validatePatch(patch).length > 0) {
+    throw new Error('patch settings out of range');
+  }
+  return patch;
+};
+
+const listAt = (fields, index) => (Array.isArray(fields[index]) ? fields[index] : []);
+
+// Links from before waveforms were selectable are all sine, and their LFOs are free-running sine waves in phase
+const sineWaveforms = (ratios) => ({ waveformIndices: ratios.map(() => 0), partialLists: ratios.map(() => 0) });
+const sineLfos = (ratios) => ({ lfoShapeIndices: ratios.map(() => 0), lfoPhases: ratios.map(() => 0) });
+const freeLfos = (ratios) => ({ lfoSyncRatios: ratios.map(() => 0) });
+const noAutomation = (ratios) => ({ automation: DEFAULT_AUTOMATION, volumeAutomation: ratios.map(() => []) });
+// Before brainwave mode, beats always came from the ratios
+const tempoBeats = (fields, ratios) => ({
+  beatModeIndex: 0,
+  beatFrequencies: ratios.map((ratio) => (isNumber(fields[0]) ? (fields[0] / 60) * ratio : 0)),
+});
+
+const decodeAutomation = (packed, ratios, packedVolumeLanes) => {
+  if (!Array.isArray(packed) || !isNumber(packed[0]) || !Array.isArray(packedVolumeLanes)) {
+    throw new Error('malformed automation');
+  }
+  return {
+    automation: {
+      length: packed[0],
+      ...Object.fromEntries(GLOBAL_LANES.map((lane, idx) => [lane.id, decodeLane(packed[idx + 1])])),
+    },
+    volumeAutomation: packedVolumeLanes.map((lane) => (lane === 0 ? [] : decodeLane(lane))),
+  };
+};
+
+const decodeV8 = (fields) => {
+  const ratios = listAt(fields, 12);
+  return decodeFields(fields, {
+    ratios,
+    waveformIndices: fields[13],
+    partialLists: fields[14],
+    lfoShapeIndices: fields[15],
+    lfoPhases: fields[16],
+    lfoSyncRatios: fields[17],
+    ...decodeAutomation(fields[18], ratios, fields[19]),
+    beatModeIndex: fields[20],
+    beatFrequencies: fields[21],
+  });
+};
+
+// Links before version 8 have their volumes as gains
+const fromGains = (decode) => (fields) => volumesFromGains(decode(fields));
+
+const DECODERS = {
+  // Version 1 links always had the eight default channels
+  1: fromGains((fields) => decodeFields(fields, {
+    ratios: DEFAULT_PATCH.ratios,
+    ...sineWaveforms(DEFAULT_PATCH.ratios),
+    ...sineLfos(DEFAULT_PATCH.ratios),
+    ...freeLfos(DEFAULT_PATCH.ratios),
+    ...noAutomation(DEFAULT_PATCH.ratios),
+    ...tempoBeats(fields, DEFAULT_PATCH.ratios),
+  })),
+  2: fromGains((fields) => {
+    const ratios = listAt(fields, 12);
+    return decodeFields(fields, {
+      ratios,
+      ...sineWaveforms(ratios),
+      ...sineLfos(ratios),
+      ...freeLfos(ratios),
+      ...noAutomation(ratios),
+      ...tempoBeats(fields, ratios),
+    });
+  }),
+  3: fromGains((fields) => {
+    const ratios = listAt(fields, 12);
+    return decodeFields(fields, {
+      ratios,
+      waveformIndices: fields[13],
+      partialLists: fields[14],
+      ...sineLfos(ratios),
+      ...freeLfos(ratios),
+      ...noAutomation(ratios),
+      ...tempoBeats(fields, ratios),
+    });
+  }),
+  4: fromGains((fields) => {
+    const ratios = listAt(fields, 12);
+    return decodeFields(fields, {
+      ratios,
+      waveformIndices: fields[13],
+      partialLists: fields[14],
+      lfoShapeIndices: fields[15],
+      lfoPhases: fields[16],
+      ...freeLfos(ratios),
+      ...noAutomation(ratios),
+      ...tempoBeats(fields, ratios),
+    });
+  }),
+  5: fromGains((fields) => {
+    const ratios = listAt(fields, 12);
+    return decodeFields(fields, {
+      ratios,
+      waveformIndices: fields[13],
+      partialLists: fields[14],
+      lfoShapeIndices: fields[15],
+      lfoPhases: fields[16],
+      lfoSyncRatios: fields[17],
+      ...noAutomation(ratios),
+      ...tempoBeats(fields, ratios),
+    });
+  }),
+  6: fromGains((fields) => {
+    const ratios = listAt(fields, 12);
+    return decodeFields(fields, {
+      ratios,
+      waveformIndices: fields[13],
+      partialLists: fields[14],
+      lfoShapeIndices: fields[15],
+      lfoPhases: fields[16],
+      lfoSyncRatios: fields[17],
+      ...decodeAutomation(fields[18], ratios, fields[19]),
+      ...tempoBeats(fields, ratios),
+    });
+  }),
+  // Version 7 has the fields of version 8
+  7: fromGains(decodeV8),
+  8: decodeV8,
+};
+
+export const encodePatchHash = (patch) => `${HASH_KEY}=${URL_VERSION}.${toBase64Url(JSON.stringify(encodeV8(patch)))}`;
+
+export const buildShareUrl = (patch) => {
+  const url = new URL(window.location.href);
+  url.hash = encodePatchHash(patch);
+  return url.toString();
+};
+
+// Read a patch from the page URL
+// Returns { patch } on success, { error } for a link that can't be used, or null when there is no patch in the URL
+export const readPatchFromUrl = () => {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const value = params.get(HASH_KEY);
+  if (!value) return null;
+
+  const separator = value.indexOf('.');
+  const version = parseInt(value.slice(0, separator), 10);
+  const decode = DECODERS[version];
+  if (separator < 0 || !decode) {
+    return { error: `This link uses an unsupported patch format (version ${separator < 0 ? '?' : value.slice(0, separator)})` };
+  }
+
+  try {
+    return { patch: decode(JSON.parse(fromBase64Url(value.slice(separator + 1)))) };
+  } catch {
+    return { error: 'This link is damaged or incomplete' };
+  }
+};
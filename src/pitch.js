@@ -0,0 +1,44 @@
+import * as Tone from 'tone';
+
+// Channel frequencies on the audio clock, shared by the live mixer and the offline renderer
+// Every channel reads the same root and bpm signals (see getPitchTerms in patch.js), so a glide or an automation
+// lane on either one moves every channel in step, the way the frequencies are worked out from the controls
+
+export const createPitchSource = ({ rootFreq, bpm }) => {
+  const root = new Tone.Signal({ value: rootFreq, units: 'frequency' });
+  const tempo = new Tone.Signal(bpm);
+  return {
+    root,
+    bpm: tempo,
+    dispose() {
+      root.dispose();
+      tempo.dispose();
+    },
+  };
+};
+
+// bpm -> x bpmFactor -> + beatOffset, summed with the root into an oscillator's frequency
+// bpmFactor and beatOffset are params, so a change of ratio or beat mode can ramp like the root does
+export const createChannelPitch = (source, { bpmFactor, beatOffset }) => {
+  const scale = new Tone.Multiply(bpmFactor);
+  const offset = new Tone.Add(beatOffset);
+  source.bpm.chain(scale, offset);
+  let destination = null;
+
+  return {
+    bpmFactor: scale.factor,
+    beatOffset: offset.addend,
+    connect(frequency) {
+      destination = frequency;
+      source.root.connect(frequency);
+      offset.connect(frequency);
+      return this;
+    },
+    dispose() {
+      if (destination) source.root.disconnect(destination);
+      source.bpm.disconnect(scale);
+      scale.dispose();
+      offset.dispose();
+    },
+  };
+};
@@ -0,0 +1,101 @@
+// Offline fundamental-frequency estimate for an audio file, used to set the root from a recording
+// Runs the YIN method (de Cheveigné & Kawahara, 2002) on short frames and takes the median of the clearly pitched ones
+
+const ANALYSIS_RATE = 22050; // Hz; enough for fundamentals up to 2 kHz with their low harmonics
+const FRAME_SIZE = 2048; // samples at the analysis rate, about 93 ms
+const MAX_FRAMES = 100;
+const YIN_THRESHOLD = 0.15; // Dips below this in the normalized difference count as a period
+const VOICED_LIMIT = 0.3; // Frames whose best dip is above this are too noisy to trust
+
+// Mix to mono and resample by averaging blocks of samples, which also filters out most content above the new Nyquist
+const toAnalysisSignal = (audioBuffer) => {
+  const factor = Math.max(1, Math.floor(audioBuffer.sampleRate / ANALYSIS_RATE));
+  const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, idx) => audioBuffer.getChannelData(idx));
+  const length = Math.floor(audioBuffer.length / factor);
+  const signal = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    for (const data of channels) {
+      for (let j = 0; j < factor; j++) sum += data[i * factor + j];
+    }
+    signal[i] = sum / (factor * channels.length);
+  }
+  return { signal, sampleRate: audioBuffer.sampleRate / factor };
+};
+
+// Best period of one frame as { period (fractional samples), aperiodicity (0 = perfectly periodic) }
+const analyzeFrame = (signal, start, minPeriod, maxPeriod) => {
+  const normalized = new Float32Array(maxPeriod + 2);
+  normalized[0] = 1;
+  let runningSum = 0;
+  for (let tau = 1; tau <= maxPeriod + 1; tau++) {
+    let diff = 0;
+    for (let j = 0; j < FRAME_SIZE; j++) {
+      const delta = signal[start + j] - signal[start + j + tau];
+      diff += delta * delta;
+    }
+    runningSum += diff;
+    normalized[tau] = runningSum > 0 ? (diff * tau) / runningSum : 1;
+  }
+
+  // The first dip under the threshold avoids locking onto a multiple of the period; otherwise take the deepest dip
+  let best = -1;
+  for (let tau = minPeriod; tau <= maxPeriod; tau++) {
+    if (normalized[tau] < YIN_THRESHOLD) {
+      while (tau + 1 <= maxPeriod && normalized[tau + 1] < normalized[tau]) tau++;
+      best = tau;
+      break;
+    }
+  }
+  if (best === -1) {
+    best = minPeriod;
+    for (let tau = minPeriod + 1; tau <= maxPeriod; tau++) {
+      if (normalized[tau] < normalized[best]) best = tau;
+    }
+  }
+
+  // Parabolic interpolation between neighbouring lags for a sub-sample period
+  const [a, b, c] = [normalized[best - 1], normalized[best], normalized[best + 1]];
+  const curvature = a - 2 * b + c;
+  const shift = curvature > 0 ? (a - c) / (2 * curvature) : 0;
+  return { period: best + shift, aperiodicity: b };
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((x, y) => x - y);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Returns { freq, confidence (0-1) }, or null when the file has no steady pitch between minFreq and maxFreq
+// Confidence combines how periodic the pitched frames are with how many of the audible frames were pitched
+export const detectPitch = (audioBuffer, { minFreq = 20, maxFreq = 2000 } = {}) => {
+  const { signal, sampleRate } = toAnalysisSignal(audioBuffer);
+  const minPeriod = Math.max(2, Math.floor(sampleRate / maxFreq));
+  const maxPeriod = Math.ceil(sampleRate / minFreq);
+  const span = FRAME_SIZE + maxPeriod + 2;
+  if (signal.length < span) return null;
+
+  const frameCount = Math.min(MAX_FRAMES, Math.floor((signal.length - span) / (FRAME_SIZE / 2)) + 1);
+  const hop = frameCount > 1 ? Math.floor((signal.length - span) / (frameCount - 1)) : 0;
+
+  // Skip frames much quieter than the loudest one, such as silence before and after the sound
+  const starts = Array.from({ length: frameCount }, (_, idx) => idx * hop);
+  const levels = starts.map((start) => {
+    let sum = 0;
+    for (let j = 0; j < FRAME_SIZE; j++) sum += signal[start + j] ** 2;
+    return Math.sqrt(sum / FRAME_SIZE);
+  });
+  const loudest = Math.max(...levels);
+  if (loudest < 1e-4) return null;
+  const audible = starts.filter((_, idx) => levels[idx] > loudest * 0.1);
+
+  const pitched = audible
+    .map((start) => analyzeFrame(signal, start, minPeriod, maxPeriod))
+    .filter((frame) => frame.aperiodicity < VOICED_LIMIT);
+  if (pitched.length === 0) return null;
+
+  const freq = sampleRate / median(pitched.map((frame) => frame.period));
+  const confidence = (1 - median(pitched.map((frame) => frame.aperiodicity)) / VOICED_LIMIT) * (pitched.length / audible.length);
+  return { freq, confidence: Math.max(0, Math.min(1, confidence)) };
+};
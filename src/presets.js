@@ -0,0 +1,86 @@
+import { createPatch, volumesFromGains } from './patch.js';
+import { PATCH_FILE_VERSION } from './patchFile.js';
+
+// Factory presets ship with the app and cannot be changed; user presets live in localStorage
+// Stored presets carry the patch file version they were saved with, so older ones can be brought up to date
+
+const STORAGE_KEY = 'cosineCartographer.presets';
+const FADER_LAW_VERSION = 8; // Presets saved before this version (or with no version) have volumes as gains
+
+export const FACTORY_PRESETS = [
+  {
+    id: 'factory:default',
+    name: 'Default',
+    patch: createPatch(),
+  },
+  {
+    id: 'factory:alpha-binaural',
+    name: 'Alpha Binaural (10 Hz)',
+    patch: createPatch({
+      bpm: 150, // 2.5 Hz per beat, so the ×4 channel beats at 10 Hz
+      rootFreq: 200,
+      stereoMode: 'binaural',
+      volumes: [0.63, 0, 0, 0, 0, 0.63, 0, 0],
+    }),
+  },
+  {
+    id: 'factory:theta-drift',
+    name: 'Theta Drift (6 Hz)',
+    patch: createPatch({
+      bpm: 90, // 1.5 Hz per beat, so the ×4 channel beats at 6 Hz
+      rootFreq: 136.1,
+      stereoMode: 'binaural',
+      volumes: [0.63, 0.54, 0, 0, 0, 0.61, 0, 0],
+      lfoRates: [0.05, 0.02, 0.5, 0.5, 0.5, 0.03, 0.5, 0.5],
+      lfoAmounts: [0, 0.4, 0, 0, 0, 0.3, 0, 0],
+    }),
+  },
+  {
+    id: 'factory:slow-swell',
+    name: 'Slow Swell',
+    patch: createPatch({
+      bpm: 60,
+      rootFreq: 110,
+      volumes: [0.63, 0.59, 0.59, 0.54, 0, 0, 0, 0],
+      lfoRates: [0.5, 0.0167, 0.025, 0.05, 0.5, 0.5, 0.5, 0.5],
+      lfoAmounts: [0, 0.6, 0.5, 0.4, 0, 0, 0, 0],
+    }),
+  },
+  {
+    id: 'factory:auto-pan-shimmer',
+    name: 'Auto-Pan Shimmer',
+    patch: createPatch({
+      bpm: 100,
+      rootFreq: 329.628, // E4
+      stereoMode: 'mixed',
+      volumes: [0.61, 0, 0.54, 0.54, 0.52, 0.45, 0, 0],
+      channelPans: [0, 0, -0.5, 0.5, -0.3, 0.3, 0, 0],
+      panLfoRates: [0.1, 0.1, 0.05, 0.07, 0.2, 0.33, 0.1, 0.1],
+      panLfoAmounts: [0, 0, 0.5, 0.5, 0.7, 0.7, 0, 0],
+    }),
+  },
+];
+
+export const loadUserPresets = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!Array.isArray(stored)) return [];
+    // Fill in settings added since the preset was saved
+    return stored
+      .filter((preset) => preset && typeof preset.name === 'string' && preset.patch)
+      .map((preset) => ({
+        ...preset,
+        patch: createPatch((preset.patchVersion || 0) < FADER_LAW_VERSION ? volumesFromGains(preset.patch) : preset.patch),
+        patchVersion: PATCH_FILE_VERSION,
+      }));
+  } catch {
+    return [];
+  }
+};
+
+// Throws if storage is unavailable or full, so the caller can tell the user
+export const saveUserPresets = (presets) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presets.map((preset) => ({ ...preset, patchVersion: PATCH_FILE_VERSION }))));
+};
+
+export const createPresetId = () => `user:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
@@ -0,0 +1,182 @@
+// Scala tuning files: .scl scales and optional .kbm keyboard mappings
+// Format reference: https://www.huygens-fokker.org/scala/scl_format.html and the Scala help on keyboard mappings
+// Both formats ignore lines starting with "!" and any text after the value on a line
+
+export class ScalaParseError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ScalaParseError';
+    this.details = details;
+  }
+}
+
+// Non-comment lines with their 1-based line numbers, for error messages
+const contentLines = (text) => text
+  .split(/\r?\n/)
+  .map((line, idx) => ({ number: idx + 1, text: line.trim() }))
+  .filter((line) => !line.text.startsWith('!'));
+
+const firstToken = (line) => line.text.split(/\s+/)[0];
+
+// A pitch is cents if it has a decimal point, otherwise a ratio ("3/2") or a whole number ("2" = 2/1)
+const parsePitch = (token) => {
+  if (token.includes('.')) {
+    return /^[+-]?(\d+\.\d*|\.\d+)$/.test(token) ? parseFloat(token) : null;
+  }
+  const match = token.match(/^(\d+)(?:\/(\d+))?$/);
+  if (!match) return null;
+  const numerator = parseInt(match[1], 10);
+  const denominator = match[2] ? parseInt(match[2], 10) : 1;
+  if (numerator === 0 || denominator === 0) return null;
+  return 1200 * Math.log2(numerator / denominator);
+};
+
+// Returns { description, pitches: [{ cents, text }] }; the unison is implied and the last pitch is the period
+export const parseScl = (text) => {
+  const lines = contentLines(text);
+  const errors = [];
+
+  // The description may be blank, but blank lines after it carry nothing
+  const [descriptionLine, countLine, ...pitchLines] = [lines[0], ...lines.slice(1).filter((line) => line.text !== '')];
+  if (!countLine) {
+    throw new ScalaParseError('The file is not a Scala scale', ['A .scl file needs a description line and a note count']);
+  }
+
+  const count = firstToken(countLine);
+  if (!/^\d+$/.test(count) || parseInt(count, 10) === 0) {
+    throw new ScalaParseError('The scale has no valid note count', [`Line ${countLine.number}: expected a whole number of notes above 0, got "${countLine.text}"`]);
+  }
+  const size = parseInt(count, 10);
+
+  const pitches = [];
+  pitchLines.slice(0, size).forEach((line) => {
+    const token = firstToken(line);
+    const cents = parsePitch(token);
+    if (cents === null) {
+      errors.push(`Line ${line.number}: "${token}" is not a ratio (e.g. 3/2) or a cents value (e.g. 701.955)`);
+    } else {
+      pitches.push({ cents, text: token });
+    }
+  });
+
+  if (pitchLines.length < size) {
+    const lastLine = lines[lines.length - 1];
+    errors.push(`Line ${lastLine.number}: the scale lists ${pitchLines.length} of the ${size} notes it declares`);
+  }
+  if (errors.length === 0 && pitches[pitches.length - 1].cents <= 0) {
+    errors.push(`Line ${pitchLines[size - 1].number}: the last note sets the period and must be above 1/1`);
+  }
+  if (errors.length > 0) {
+    throw new ScalaParseError('The scale file has errors', errors);
+  }
+
+  return { description: descriptionLine.text, pitches };
+};
+
+const KBM_FIELDS = [
+  { id: 'size', label: 'map size', min: 0, max: 128 },
+  { id: 'first', label: 'first note', min: 0, max: 127 },
+  { id: 'last', label: 'last note', min: 0, max: 127 },
+  { id: 'middle', label: 'middle note', min: 0, max: 127 },
+  { id: 'referenceKey', label: 'reference note', min: 0, max: 127 },
+  { id: 'referenceFreq', label: 'reference frequency', decimal: true },
+  { id: 'octaveDegree', label: 'formal octave degree', min: 0 },
+];
+
+// Returns the header fields plus mapping: a scale degree (or null for an unmapped key) per map position
+export const parseKbm = (text) => {
+  const lines = contentLines(text).filter((line) => line.text !== '');
+  const errors = [];
+  const keyboard = {};
+
+  if (lines.length < KBM_FIELDS.length) {
+    throw new ScalaParseError('The file is not a Scala keyboard mapping', [`A .kbm file needs ${KBM_FIELDS.length} header values, found ${lines.length}`]);
+  }
+
+  KBM_FIELDS.forEach((field, idx) => {
+    const line = lines[idx];
+    const token = firstToken(line);
+    const value = field.decimal ? parseFloat(token) : parseInt(token, 10);
+    const isValid = field.decimal
+      ? /^\d*\.?\d+$/.test(token) && value > 0
+      : /^\d+$/.test(token) && value >= field.min && (field.max === undefined || value <= field.max);
+    if (!isValid) {
+      const range = field.decimal ? 'a frequency above 0' : `a whole number${field.max === undefined ? ` from ${field.min}` : ` from ${field.min} to ${field.max}`}`;
+      errors.push(`Line ${line.number}: the ${field.label} should be ${range}, got "${token}"`);
+    }
+    keyboard[field.id] = value;
+  });
+
+  // Keys past the end of a short mapping are unmapped
+  const mappingLines = lines.slice(KBM_FIELDS.length, KBM_FIELDS.length + (keyboard.size || 0));
+  keyboard.mapping = Array.from({ length: keyboard.size || 0 }, (_, idx) => {
+    const line = mappingLines[idx];
+    if (!line) return null;
+    const token = firstToken(line);
+    if (token.toLowerCase() === 'x') return null;
+    if (!/^\d+$/.test(token)) {
+      errors.push(`Line ${line.number}: mapping entries should be a scale degree or "x", got "${token}"`);
+      return null;
+    }
+    return parseInt(token, 10);
+  });
+
+  if (errors.length === 0 && keyboard.first > keyboard.last) {
+    errors.push(`Line ${lines[1].number}: the first note (${keyboard.first}) is above the last note (${keyboard.last})`);
+  }
+  if (errors.length > 0) {
+    throw new ScalaParseError('The keyboard mapping has errors', errors);
+  }
+  return keyboard;
+};
+
+const mod = (n, m) => ((n % m) + m) % m;
+
+// Notes of a parsed scale as { name, freq, degree }, sorted by frequency
+// Without a keyboard mapping, degree 0 sits on MIDI note 60 at the given frequency and degrees run up the keys
+export const buildScalaTable = (scale, keyboard, middleFreq) => {
+  const size = scale.pitches.length;
+  const period = scale.pitches[size - 1].cents;
+  const degreeCents = (degree) => {
+    const step = mod(degree, size);
+    return Math.floor(degree / size) * period + (step === 0 ? 0 : scale.pitches[step - 1].cents);
+  };
+
+  // Cents of a key above degree 0 and the scale degree it plays, or null if the mapping skips it
+  const keyPitch = (key) => {
+    const offset = key - (keyboard ? keyboard.middle : 60);
+    if (!keyboard || keyboard.size === 0) return { degree: mod(offset, size), cents: degreeCents(offset) };
+    const entry = keyboard.mapping[mod(offset, keyboard.size)];
+    if (entry === null) return null;
+    const repeats = Math.floor(offset / keyboard.size);
+    return { degree: mod(entry, size), cents: repeats * degreeCents(keyboard.octaveDegree) + degreeCents(entry) };
+  };
+
+  let anchorCents = 0;
+  let anchorFreq = middleFreq;
+  if (keyboard) {
+    const reference = keyPitch(keyboard.referenceKey);
+    if (!reference) {
+      throw new ScalaParseError('The keyboard mapping has errors', [`The reference note ${keyboard.referenceKey} is not mapped to a scale degree`]);
+    }
+    anchorCents = reference.cents;
+    anchorFreq = keyboard.referenceFreq;
+  }
+
+  const notes = [];
+  const [first, last] = keyboard ? [keyboard.first, keyboard.last] : [0, 127];
+  for (let key = first; key <= last; key++) {
+    const pitch = keyPitch(key);
+    if (pitch) {
+      notes.push({
+        name: `°${pitch.degree}`,
+        freq: anchorFreq * 2 ** ((pitch.cents - anchorCents) / 1200),
+        degree: pitch.degree,
+      });
+    }
+  }
+  if (notes.length === 0) {
+    throw new ScalaParseError('The keyboard mapping has errors', ['No keys between the first and last note are mapped']);
+  }
+  return notes.sort((a, b) => a.freq - b.freq);
+};
@@ -0,0 +1,114 @@
+import { frequencyTicks, formatTick } from './spectrum.js';
+
+// Scrolling spectrogram of the output: one column per time step with the newest on the right, on a log-frequency axis
+// The picture builds up in an offscreen canvas; each frame copies it to the page and draws the labels on top,
+// so labels don't scroll with the picture and the exported PNG has them too
+
+export const SPECTROGRAM_WINDOWS = [
+  { seconds: 30, label: '30 s' },
+  { seconds: 60, label: '1 min' },
+  { seconds: 120, label: '2 min' },
+  { seconds: 300, label: '5 min' },
+  { seconds: 600, label: '10 min' },
+];
+
+const DB_FLOOR = -100;
+const DB_CEILING = -10;
+
+// Near-black through blue, cyan and amber to white, as 256 [r, g, b] entries from DB_FLOOR to DB_CEILING
+const PALETTE_STOPS = [
+  [0, [10, 10, 20]],
+  [0.35, [30, 40, 140]],
+  [0.6, [34, 211, 238]],
+  [0.85, [245, 158, 11]],
+  [1, [255, 255, 255]],
+];
+const PALETTE = Array.from({ length: 256 }, (_, idx) => {
+  const level = idx / 255;
+  const upper = PALETTE_STOPS.findIndex(([stop]) => stop >= level);
+  if (upper === 0) return PALETTE_STOPS[0][1];
+  const [[low, from], [high, to]] = [PALETTE_STOPS[upper - 1], PALETTE_STOPS[upper]];
+  const t = (level - low) / (high - low);
+  return from.map((channel, c) => Math.round(channel + (to[c] - channel) * t));
+});
+
+// FFT window for a zoomed band: long enough to split partials a fraction of a Hz apart in the narrow spans,
+// short enough elsewhere that the columns follow LFOs and automation
+export const spectrogramFftSeconds = (halfWidth) => Math.min(16, Math.max(2, 16 / halfWidth));
+
+const formatAgo = (seconds) => `-${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+
+export const createSpectrogram = (width, height) => {
+  const image = document.createElement('canvas');
+  image.width = width;
+  image.height = height;
+  const ctx = image.getContext('2d');
+  const column = ctx.createImageData(1, height);
+
+  const clear = () => {
+    ctx.fillStyle = `rgb(${PALETTE[0].join(', ')})`;
+    ctx.fillRect(0, 0, width, height);
+  };
+  clear();
+
+  return {
+    clear,
+    // Scroll left by a pixel and draw a spectrum (null for silence) as the newest column
+    // Each row shows the loudest bin between its lower and upper edge
+    addColumn(spectrum, [minFreq, maxFreq]) {
+      ctx.drawImage(image, -1, 0);
+      const ratio = maxFreq / minFreq;
+      for (let y = 0; y < height; y++) {
+        let db = -Infinity;
+        if (spectrum) {
+          const { dbs, startFreq, binWidth } = spectrum;
+          const lowFreq = minFreq * ratio ** ((height - y - 1) / height);
+          const highFreq = minFreq * ratio ** ((height - y) / height);
+          const first = Math.max(0, Math.round((lowFreq - startFreq) / binWidth));
+          const last = Math.min(dbs.length - 1, Math.round((highFreq - startFreq) / binWidth));
+          for (let i = first; i <= Math.max(first, last) && i < dbs.length; i++) db = Math.max(db, dbs[i]);
+        }
+        const level = Math.max(0, Math.min(1, (db - DB_FLOOR) / (DB_CEILING - DB_FLOOR)));
+        column.data.set([...PALETTE[Math.round(level * 255)], 255], y * 4);
+      }
+      ctx.putImageData(column, width - 1, 0);
+    },
+    // Copy the picture to a page canvas of the same size, with frequency and time labels and channel markers
+    // markers: [{ freq, label, isActive }] as in spectrum.js, shown as ticks on the right edge
+    render(canvas, { range, windowSeconds, markers }) {
+      const view = canvas.getContext('2d');
+      const [minFreq, maxFreq] = range;
+      const yAt = (freq) => height * (1 - Math.log(freq / minFreq) / Math.log(maxFreq / minFreq));
+      view.drawImage(image, 0, 0);
+
+      view.font = '10px sans-serif';
+      view.shadowColor = 'black';
+      view.shadowBlur = 3;
+      view.fillStyle = '#d1d5db';
+      const { ticks, step } = frequencyTicks(minFreq, maxFreq);
+      ticks.forEach((freq) => {
+        view.fillRect(0, yAt(freq), 4, 1);
+        view.fillText(formatTick(freq, step), 6, Math.max(10, Math.min(height - 14, yAt(freq) + 3)));
+      });
+      [0.75, 0.5, 0.25].forEach((fraction) => {
+        view.fillText(formatAgo(windowSeconds * fraction), width * (1 - fraction) - 12, height - 3);
+      });
+      view.fillText('now', width - 22, height - 3);
+
+      let lastLabelY = -Infinity;
+      markers
+        .filter((marker) => marker.freq >= minFreq && marker.freq <= maxFreq)
+        .sort((a, b) => b.freq - a.freq)
+        .forEach((marker) => {
+          const y = yAt(marker.freq);
+          view.fillStyle = marker.isActive ? '#f59e0b' : '#6b7280';
+          view.fillRect(width - 6, y, 6, 1);
+          if (y - lastLabelY < 11) return; // Too close to the label above to fit
+          const labelWidth = view.measureText(marker.label).width;
+          view.fillText(marker.label, width - 10 - labelWidth, Math.max(10, y + 3));
+          lastLabelY = y;
+        });
+      view.shadowBlur = 0;
+    },
+  };
+};
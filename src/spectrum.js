@@ -0,0 +1,282 @@
+import * as Tone from 'tone';
+import zoomWorkletUrl from './zoomWorklet.js?url&no-inline'; // A real file, since some browsers won't load worklets from data: URLs
+
+// Spectrum view of the mixer output: the full range from an ordinary FFT analyser, or a zoomed band around the root
+// A 32768-point FFT only resolves about 1.5 Hz, too coarse for beats a fraction of a Hz apart, so the zoomed spans
+// shift their band down to 0 Hz and decimate it on the audio thread (zoomWorklet.js), then run a long FFT on the
+// narrow-band signal here: many seconds of it, for bins a few hundredths of a Hz wide
+
+export const SPECTRUM_SPANS = [
+  { id: 'full', label: 'Full range' },
+  { id: '400', label: '±400 Hz', halfWidth: 400 },
+  { id: '100', label: '±100 Hz', halfWidth: 100 },
+  { id: '25', label: '±25 Hz', halfWidth: 25 },
+  { id: '5', label: '±5 Hz', halfWidth: 5 },
+  { id: '1', label: '±1 Hz', halfWidth: 1 },
+];
+
+export const findSpectrumSpan = (id) => SPECTRUM_SPANS.find((span) => span.id === id) || SPECTRUM_SPANS[0];
+
+export const FULL_FFT_SIZE = 16384; // Tone analyser size (bins); the FFT itself is twice this
+const FULL_RANGE = [20, 20000]; // Hz
+const DB_RANGE = [-120, 0];
+const OVERSAMPLING = 8; // The decimated rate is this many times the half-width, keeping the filter's droop and aliases out of view
+const MAX_WINDOW_SECONDS = 32;
+const MAX_ZOOM_SIZE = 8192;
+
+// In-place radix-2 FFT; re and im have a power-of-two length
+const fft = (re, im) => {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let k = 0; k < size / 2; k++) {
+      const [cos, sin] = [Math.cos(angle * k), Math.sin(angle * k)];
+      for (let start = 0; start < n; start += size) {
+        const [a, b] = [start + k, start + k + size / 2];
+        const tre = re[b] * cos - im[b] * sin;
+        const tim = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tre;
+        im[b] = im[a] - tim;
+        re[a] += tre;
+        im[a] += tim;
+      }
+    }
+  }
+};
+
+// A spectrum is { dbs, startFreq, binWidth, caption }: bin i sits at startFreq + i * binWidth Hz
+
+export const readFullSpectrum = (analyser, sampleRate) => ({
+  dbs: analyser.getValue(),
+  startFreq: 0,
+  binWidth: sampleRate / (FULL_FFT_SIZE * 2),
+  caption: `${(sampleRate / (FULL_FFT_SIZE * 2)).toFixed(2)} Hz resolution`,
+});
+
+// The worklet module is loaded once per audio context
+// Tone only keeps one worklet module per context for its own processors, so this goes to the raw context directly
+const workletLoads = new WeakMap();
+const loadZoomWorklet = (context) => {
+  if (!workletLoads.has(context.rawContext)) {
+    workletLoads.set(context.rawContext, context.rawContext.audioWorklet.addModule(zoomWorkletUrl));
+  }
+  return workletLoads.get(context.rawContext);
+};
+
+// A band of the output at fine resolution; connect the signal to input, then pick the band with setBand
+// Samples arrive continuously, and the spectrum sharpens as the window fills
+// The window is as long as windowSeconds allows (rounded down to a power-of-two FFT), trading time for frequency detail
+export const createZoomAnalyser = async () => {
+  const context = Tone.getContext();
+  await loadZoomWorklet(context);
+  const node = context.createAudioWorkletNode('zoom-downconverter', {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    channelCount: 2,
+    channelCountMode: 'explicit',
+  });
+
+  let generation = 0;
+  let band = null;
+  let ring = null; // Interleaved I/Q pairs, oldest overwritten first
+  let count = 0;
+  let write = 0;
+  let cached = null;
+
+  node.port.onmessage = ({ data }) => {
+    if (!band || data.generation !== generation) return;
+    band.rate = data.rate;
+    const size = ring.length / 2;
+    for (let i = 0; i < data.samples.length; i += 2) {
+      ring[write * 2] = data.samples[i];
+      ring[write * 2 + 1] = data.samples[i + 1];
+      write = (write + 1) % size;
+      count = Math.min(size, count + 1);
+    }
+    cached = null;
+  };
+
+  return {
+    input: node,
+    setBand(center, halfWidth, windowSeconds = MAX_WINDOW_SECONDS) {
+      const rate = halfWidth * OVERSAMPLING;
+      const size = Math.min(MAX_ZOOM_SIZE, 2 ** Math.floor(Math.log2(rate * windowSeconds)));
+      generation += 1;
+      band = { center, halfWidth, rate };
+      ring = new Float32Array(size * 2);
+      count = 0;
+      write = 0;
+      cached = null;
+      node.port.postMessage({ center, rate, generation });
+    },
+    // The band as a spectrum, or null until enough samples have arrived
+    getSpectrum() {
+      if (!band || count < 16) return null;
+      if (cached) return cached;
+
+      // Hann-windowed over the samples so far, zero-padded to the full window
+      const size = ring.length / 2;
+      const [re, im] = [new Float64Array(size), new Float64Array(size)];
+      let windowSum = 0;
+      for (let i = 0; i < count; i++) {
+        const slot = (write - count + i + size) % size;
+        const weight = 0.5 - 0.5 * Math.cos((2 * Math.PI * (i + 0.5)) / count);
+        re[i] = ring[slot * 2] * weight;
+        im[i] = ring[slot * 2 + 1] * weight;
+        windowSum += weight;
+      }
+      fft(re, im);
+
+      // Reorder so negative offsets come first; a sine of amplitude A mixes down to A/2, hence the factor of 2
+      const dbs = new Float32Array(size);
+      for (let k = 0; k < size; k++) {
+        const bin = (k + size / 2) % size;
+        const magnitude = (2 * Math.hypot(re[bin], im[bin])) / windowSum;
+        dbs[k] = magnitude > 0 ? 20 * Math.log10(magnitude) : DB_RANGE[0];
+      }
+
+      const binWidth = band.rate / size;
+      const seconds = count / band.rate;
+      const windowSeconds = size / band.rate;
+      const filling = count < size ? ` (window ${Math.floor(seconds)} of ${Math.round(windowSeconds)} s)` : '';
+      cached = {
+        dbs,
+        startFreq: band.center - (size / 2) * binWidth,
+        binWidth,
+        caption: `${(band.rate / count).toPrecision(2)} Hz resolution${filling}`,
+      };
+      return cached;
+    },
+    dispose() {
+      node.port.onmessage = null;
+      node.disconnect();
+    },
+  };
+};
+
+// Frequency range on screen for a span: the whole audible range, or the root ± the span's half-width
+export const getSpectrumRange = (span, rootFreq, sampleRate) => {
+  if (!span.halfWidth) return [FULL_RANGE[0], Math.min(FULL_RANGE[1], sampleRate / 2)];
+  return [Math.max(1, rootFreq - span.halfWidth), rootFreq + span.halfWidth];
+};
+
+// Whether a zoomed band centred on center should move to follow the root
+// Recentring restarts the FFT window, so small moves (a slider drag, a slow automation ramp) keep the band and
+// only a move past half the half-width, where the root nears the edge of the view, starts a new one
+export const needsRecentring = (center, rootFreq, halfWidth) => Math.abs(rootFreq - center) > halfWidth / 2;
+
+// Gridlines as { ticks, step }: 1-2-5 steps per decade over a wide range (step null), evenly spaced round numbers
+// over a narrow one
+export const frequencyTicks = (minFreq, maxFreq) => {
+  if (maxFreq / minFreq >= 4) {
+    const ticks = [];
+    for (let decade = 10 ** Math.floor(Math.log10(minFreq)); decade <= maxFreq; decade *= 10) {
+      [1, 2, 5].forEach((multiple) => {
+        if (decade * multiple >= minFreq && decade * multiple <= maxFreq) ticks.push(decade * multiple);
+      });
+    }
+    return { ticks, step: null };
+  }
+  const rough = (maxFreq - minFreq) / 6;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map((factor) => factor * magnitude).find((candidate) => candidate >= rough);
+  const ticks = [];
+  for (let tick = Math.ceil(minFreq / step) * step; tick <= maxFreq; tick += step) ticks.push(tick);
+  return { ticks, step };
+};
+
+export const formatTick = (freq, step) => {
+  if (step === null) return freq >= 1000 ? `${freq / 1000}k` : `${freq}`;
+  const decimals = Math.max(0, Math.ceil(-Math.log10(step)));
+  return freq.toFixed(decimals);
+};
+
+// Draw a spectrum (or just the grid and markers when spectrum is null) on a log-frequency axis
+// markers: [{ freq, label, isActive }], drawn as vertical lines labelled at the top
+export const drawSpectrum = (canvas, { spectrum, range, markers }) => {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const [minFreq, maxFreq] = range;
+  const xAt = (freq) => (width * Math.log(freq / minFreq)) / Math.log(maxFreq / minFreq);
+  const yAt = (db) => height * ((DB_RANGE[1] - Math.max(DB_RANGE[0], db)) / (DB_RANGE[1] - DB_RANGE[0]));
+
+  ctx.fillStyle = '#1a1a1a';
+  ctx.fillRect(0, 0, width, height);
+
+  // Grid
+  ctx.font = '10px sans-serif';
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = '#262626';
+  ctx.fillStyle = '#6b7280';
+  for (let db = DB_RANGE[1] - 20; db > DB_RANGE[0]; db -= 20) {
+    ctx.beginPath();
+    ctx.moveTo(0, yAt(db));
+    ctx.lineTo(width, yAt(db));
+    ctx.stroke();
+    ctx.fillText(`${db} dB`, width - 44, yAt(db) - 2);
+  }
+  const { ticks, step } = frequencyTicks(minFreq, maxFreq);
+  ticks.forEach((freq) => {
+    ctx.beginPath();
+    ctx.moveTo(xAt(freq), 0);
+    ctx.lineTo(xAt(freq), height);
+    ctx.stroke();
+    ctx.fillText(formatTick(freq, step), xAt(freq) + 2, height - 3);
+  });
+
+  // The loudest bin in each pixel column, so a dense FFT doesn't alias into a comb
+  if (spectrum) {
+    const columns = new Float32Array(width).fill(-Infinity);
+    const { dbs, startFreq, binWidth } = spectrum;
+    const first = Math.max(0, Math.floor((minFreq - startFreq) / binWidth));
+    const last = Math.min(dbs.length - 1, Math.ceil((maxFreq - startFreq) / binWidth));
+    for (let i = first; i <= last; i++) {
+      const freq = startFreq + i * binWidth;
+      if (freq <= 0) continue;
+      const column = Math.round(xAt(freq));
+      if (column >= 0 && column < width) columns[column] = Math.max(columns[column], dbs[i]);
+    }
+
+    ctx.beginPath();
+    let started = false;
+    columns.forEach((db, x) => {
+      if (db === -Infinity) return;
+      if (started) {
+        ctx.lineTo(x, yAt(db));
+      } else {
+        ctx.moveTo(x, yAt(db));
+        started = true;
+      }
+    });
+    ctx.strokeStyle = '#22d3ee';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    ctx.fillStyle = '#9ca3af';
+    ctx.fillText(spectrum.caption, 4, 12);
+  }
+
+  // Channel markers, with labels staggered so neighbours don't overlap
+  markers.forEach((marker, idx) => {
+    if (marker.freq < minFreq || marker.freq > maxFreq) return;
+    const x = xAt(marker.freq);
+    ctx.strokeStyle = marker.isActive ? 'rgba(245, 158, 11, 0.8)' : 'rgba(107, 114, 128, 0.6)';
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x, 16);
+    ctx.lineTo(x, height - 14);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = marker.isActive ? '#f59e0b' : '#6b7280';
+    ctx.fillText(marker.label, Math.min(x + 2, width - ctx.measureText(marker.label).width - 2), 26 + (idx % 3) * 11);
+  });
+};
@@ -0,0 +1,127 @@
+// Offline tempo estimate for an audio track, used to match the bpm to a recording
+// Builds an onset-strength envelope, autocorrelates it over the tempo range and weights the result towards
+// moderate tempos (after Ellis, "Beat Tracking by Dynamic Programming", 2007) to pick the likeliest beat level
+
+const ENVELOPE_RATE = 200; // Hz, one onset value every 5 ms
+const MAX_SECONDS = 300; // Only the first five minutes are analyzed
+const MIN_BPM = 40;
+const MAX_BPM = 240;
+const PREFERRED_BPM = 120; // Centre of the tempo weighting, in a log-Gaussian one octave wide
+const SMOOTHING_SECONDS = 0.5; // Local-mean window removed from the envelope
+
+// Rises in frame energy, for the full band and for a first-difference (bright) version of the signal
+// Using both catches kick drums as well as hi-hats and plucks
+const onsetEnvelope = (audioBuffer) => {
+  const hop = Math.max(1, Math.round(audioBuffer.sampleRate / ENVELOPE_RATE));
+  const length = Math.min(audioBuffer.length, Math.floor(audioBuffer.sampleRate * MAX_SECONDS));
+  const frameCount = Math.floor(length / hop);
+  const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, idx) => audioBuffer.getChannelData(idx));
+
+  const fullBand = new Float32Array(frameCount);
+  const bright = new Float32Array(frameCount);
+  let previous = 0;
+  for (let frame = 0; frame < frameCount; frame++) {
+    let energy = 0;
+    let brightEnergy = 0;
+    for (let i = frame * hop; i < (frame + 1) * hop; i++) {
+      let sample = 0;
+      for (const data of channels) sample += data[i];
+      sample /= channels.length;
+      energy += sample * sample;
+      brightEnergy += (sample - previous) ** 2;
+      previous = sample;
+    }
+    fullBand[frame] = Math.log(1e-6 + energy / hop);
+    bright[frame] = Math.log(1e-6 + brightEnergy / hop);
+  }
+
+  const onsets = new Float32Array(frameCount);
+  for (let frame = 1; frame < frameCount; frame++) {
+    onsets[frame] = Math.max(0, fullBand[frame] - fullBand[frame - 1]) + Math.max(0, bright[frame] - bright[frame - 1]);
+  }
+
+  // Subtract the running mean so steady loudness changes don't count as beats, then keep the peaks
+  const half = Math.round((SMOOTHING_SECONDS * ENVELOPE_RATE) / 2);
+  const envelope = new Float32Array(frameCount);
+  let windowSum = 0;
+  let windowStart = 0;
+  let windowEnd = 0;
+  for (let frame = 0; frame < frameCount; frame++) {
+    while (windowEnd < Math.min(frameCount, frame + half + 1)) windowSum += onsets[windowEnd++];
+    while (windowStart < frame - half) windowSum -= onsets[windowStart++];
+    envelope[frame] = Math.max(0, onsets[frame] - windowSum / (windowEnd - windowStart));
+  }
+  return { envelope, rate: audioBuffer.sampleRate / hop };
+};
+
+const autocorrelate = (envelope, lag) => {
+  let sum = 0;
+  for (let i = 0; i + lag < envelope.length; i++) sum += envelope[i] * envelope[i + lag];
+  return sum / (envelope.length - lag);
+};
+
+// Peak position near a lag, refined by parabolic interpolation
+const refinePeak = (values, idx) => {
+  if (idx <= 0 || idx >= values.length - 1) return idx;
+  const [a, b, c] = [values[idx - 1], values[idx], values[idx + 1]];
+  const curvature = a - 2 * b + c;
+  return curvature < 0 ? idx + (a - c) / (2 * curvature) : idx;
+};
+
+// Returns { bpm, confidence (0-1), candidates: [{ bpm, label, score }] }, or null if the track has no clear pulse
+// Candidates are the half- and double-time readings of the same pulse; the best one comes first
+export const detectTempo = (audioBuffer, { minBpm = 1, maxBpm = 300 } = {}) => {
+  const { envelope, rate } = onsetEnvelope(audioBuffer);
+  const bpmToLag = (bpm) => (60 * rate) / bpm;
+  const minLag = Math.floor(bpmToLag(MAX_BPM * 2));
+  const maxLag = Math.ceil(bpmToLag(MIN_BPM / 2));
+  if (envelope.length < maxLag * 4) return null;
+
+  const correlation = new Float32Array(maxLag + 2);
+  for (let lag = minLag; lag <= maxLag + 1; lag++) correlation[lag] = autocorrelate(envelope, lag);
+  const energy = autocorrelate(envelope, 0);
+  if (energy <= 0) return null;
+
+  // Weighted search over the main tempo range
+  // A beat whose half is also a pulse scores higher, so an even subdivision (kick on the beat, hat off it) doesn't
+  // let one and a half beats pass for the beat
+  const weight = (lag) => Math.exp(-0.5 * Math.log2(bpmToLag(PREFERRED_BPM) / lag) ** 2);
+  const beatStrength = (lag) => (correlation[lag] + 0.5 * correlation[Math.round(lag / 2)]) * weight(lag);
+  let bestLag = -1;
+  for (let lag = Math.floor(bpmToLag(MAX_BPM)); lag <= Math.ceil(bpmToLag(MIN_BPM)); lag++) {
+    if (bestLag === -1 || beatStrength(lag) > beatStrength(bestLag)) bestLag = lag;
+  }
+
+  // Score a tempo by its correlation against the typical level across the range, so a flat envelope scores 0
+  const typical = [...correlation.slice(minLag, maxLag + 1)].sort((x, y) => x - y)[Math.floor((maxLag - minLag) / 2)];
+  const scoreAt = (lag) => {
+    const nearest = Math.max(minLag, Math.min(maxLag, Math.round(lag)));
+    const peak = Math.max(correlation[nearest - 1] || 0, correlation[nearest], correlation[nearest + 1] || 0);
+    return Math.max(0, Math.min(1, (peak - typical) / (energy - typical)));
+  };
+
+  // The correlation repeats at multiples of the beat; its fourth repeat pins the beat length down four times finer
+  const lagFromRepeat = (lag, repeats) => {
+    const center = Math.round(lag * repeats);
+    let peak = center;
+    for (let candidate = center - repeats; candidate <= center + repeats; candidate++) {
+      if (candidate + 1 < envelope.length / 2 && autocorrelate(envelope, candidate) > autocorrelate(envelope, peak)) peak = candidate;
+    }
+    const values = [peak - 1, peak, peak + 1].map((candidate) => autocorrelate(envelope, candidate));
+    return (peak + refinePeak(values, 1) - 1) / repeats;
+  };
+  const beatLag = envelope.length > refinePeak(correlation, bestLag) * 8 ? lagFromRepeat(refinePeak(correlation, bestLag), 4) : refinePeak(correlation, bestLag);
+
+  const bpm = (60 * rate) / beatLag;
+  const confidence = scoreAt(beatLag);
+  if (confidence === 0) return null;
+
+  const candidates = [
+    { bpm, label: 'Detected', score: confidence },
+    { bpm: bpm / 2, label: 'Half time', score: scoreAt(beatLag * 2) },
+    { bpm: bpm * 2, label: 'Double time', score: scoreAt(beatLag / 2) },
+  ].filter((candidate) => candidate.bpm >= minBpm && candidate.bpm <= maxBpm);
+  if (candidates.length === 0 || candidates[0].label !== 'Detected') return null;
+
+  return { bpm, confidence, candidates };
+};
@@ -0,0 +1,224 @@
+import { parseScl, parseKbm, buildScalaTable } from './scala.js';
+
+// Note tables for the root frequency readout and slider snapping
+// The tuning is a display preference, not part of the patch: it changes which notes the root is measured against, not the sound
+
+const STORAGE_KEY = 'cosineCartographer.tuning';
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Notes run from C0 to B8; A4 is 4 octaves and 9 semitones above C0
+const OCTAVES = 9;
+const A4_INDEX = 57;
+
+export const REFERENCE_PITCHES = [
+  { freq: 415, label: '415 Hz (Baroque)' },
+  { freq: 430, label: '430 Hz (Classical)' },
+  { freq: 432, label: '432 Hz' },
+  { freq: 435, label: '435 Hz (Diapason normal)' },
+  { freq: 440, label: '440 Hz (Standard)' },
+  { freq: 442, label: '442 Hz (Orchestral)' },
+  { freq: 444, label: '444 Hz' },
+];
+
+export const REFERENCE_LIMITS = { min: 380, max: 480 };
+
+// Reduce a ratio into a single octave, 1 to just under 2
+const reduceToOctave = (ratio) => ratio / 2 ** Math.floor(Math.log2(ratio));
+
+// Twelve notes stacked from a chain of fifths, starting `lowest` fifths below the tonic
+// The unused fifth that closes the circle is the wolf
+const chainOfFifths = (fifth, lowest) => {
+  const ratios = [];
+  for (let k = lowest; k < lowest + 12; k++) {
+    ratios[(((7 * k) % 12) + 12) % 12] = reduceToOctave(fifth ** k);
+  }
+  return ratios;
+};
+
+// Each temperament lists the ratio of every semitone above the tonic
+// Unequal temperaments sound best in the key they are tuned to, so they take a key
+export const TEMPERAMENTS = [
+  {
+    id: 'equal',
+    label: 'Equal',
+    description: '12-TET: every semitone is the same size, so every key sounds alike',
+    ratios: NOTE_NAMES.map((_, step) => 2 ** (step / 12)),
+  },
+  {
+    id: 'just',
+    label: 'Just Intonation',
+    description: '5-limit just intervals above the key note',
+    ratios: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8],
+  },
+  {
+    id: 'pythagorean',
+    label: 'Pythagorean',
+    description: 'Pure 3:2 fifths from a flattened 2nd to a sharpened 4th above the key note',
+    ratios: chainOfFifths(3 / 2, -5),
+  },
+  {
+    id: 'meantone',
+    label: 'Quarter-Comma Meantone',
+    description: 'Fifths narrowed so major thirds are pure, from a flattened 3rd to a sharpened 5th above the key note',
+    ratios: chainOfFifths(5 ** (1 / 4), -3),
+  },
+];
+
+export const findTemperament = (id) => TEMPERAMENTS.find((temperament) => temperament.id === id) || TEMPERAMENTS[0];
+
+// Scales the root slider can be limited to, as semitones above the scale's root
+export const SNAP_SCALES = [
+  { id: 'chromatic', label: 'Chromatic', steps: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+  { id: 'major', label: 'Major (Ionian)', steps: [0, 2, 4, 5, 7, 9, 11] },
+  { id: 'dorian', label: 'Dorian', steps: [0, 2, 3, 5, 7, 9, 10] },
+  { id: 'phrygian', label: 'Phrygian', steps: [0, 1, 3, 5, 7, 8, 10] },
+  { id: 'lydian', label: 'Lydian', steps: [0, 2, 4, 6, 7, 9, 11] },
+  { id: 'mixolydian', label: 'Mixolydian', steps: [0, 2, 4, 5, 7, 9, 10] },
+  { id: 'minor', label: 'Minor (Aeolian)', steps: [0, 2, 3, 5, 7, 8, 10] },
+  { id: 'locrian', label: 'Locrian', steps: [0, 1, 3, 5, 6, 8, 10] },
+  { id: 'harmonicMinor', label: 'Harmonic Minor', steps: [0, 2, 3, 5, 7, 8, 11] },
+  { id: 'majorPentatonic', label: 'Major Pentatonic', steps: [0, 2, 4, 7, 9] },
+  { id: 'minorPentatonic', label: 'Minor Pentatonic', steps: [0, 3, 5, 7, 10] },
+];
+
+export const findSnapScale = (id) => SNAP_SCALES.find((scale) => scale.id === id) || SNAP_SCALES[0];
+
+export const SNAP_TOLERANCE_LIMITS = { min: 1, max: 100 }; // cents
+
+export const DEFAULT_TUNING = {
+  referenceFreq: 440, // A4 in Hz
+  temperament: 'equal',
+  key: 0, // Tonic as a pitch class, 0 = C
+  scala: null, // Loaded Scala files as { sclName, sclText, kbmName, kbmText }; replaces the temperament while set
+  snapEnabled: true, // Root slider snaps to nearby notes
+  snapTolerance: 20, // cents either side of a note
+  snapScale: 'chromatic', // Only snap to notes of this scale (12-note tunings only)
+  snapRoot: 0, // Pitch class the snap scale starts on
+};
+
+// Parse loaded Scala files; throws ScalaParseError if either file is bad
+export const parseScala = ({ sclText, kbmText }) => ({
+  scale: parseScl(sclText),
+  keyboard: kbmText ? parseKbm(kbmText) : null,
+});
+
+// Without a keyboard mapping, a Scala scale starts on the equal-tempered C4 for the reference pitch
+const buildScalaNoteTable = ({ referenceFreq, scala }) => {
+  const { scale, keyboard } = parseScala(scala);
+  return buildScalaTable(scale, keyboard, referenceFreq * 2 ** ((48 - A4_INDEX) / 12));
+};
+
+// Every note from C0 to B8 as { name, freq }, or the notes of a loaded Scala scale
+// A4 always sounds at the reference pitch; the tonic below it is tuned from A, and the other notes from the tonic
+export const buildNoteTable = ({ referenceFreq, temperament, key, scala }) => {
+  if (scala) return buildScalaNoteTable({ referenceFreq, scala });
+  const { ratios } = findTemperament(temperament);
+  const tonicIndex = A4_INDEX - ((9 - key + 12) % 12);
+  const tonicFreq = referenceFreq / ratios[A4_INDEX - tonicIndex];
+
+  const notes = [];
+  for (let index = 0; index < OCTAVES * 12; index++) {
+    const fromTonic = index - tonicIndex;
+    const octave = Math.floor(fromTonic / 12);
+    notes.push({
+      name: `${NOTE_NAMES[index % 12]}${Math.floor(index / 12)}`,
+      freq: tonicFreq * 2 ** octave * ratios[fromTonic - octave * 12],
+      pitchClass: index % 12,
+    });
+  }
+  return notes;
+};
+
+const NATURALS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const ACCIDENTALS = { '#': 1, '♯': 1, b: -1, '♭': -1 };
+
+// Frequency of a typed note name such as "A#3", "Eb4" or "C♯5" in a note table, or null if the table has no such note
+// Flats and sharps that cross B/C move the octave, so Cb4 is B3; Scala tables have no note names
+export const resolveNoteName = (notes, text) => {
+  const match = text.match(/^([A-Ga-g])([#♯b♭]?)(\d)$/);
+  if (!match) return null;
+  const semitones = NATURALS[match[1].toUpperCase()] + (ACCIDENTALS[match[2]] || 0);
+  const octave = parseInt(match[3], 10) + Math.floor(semitones / 12);
+  const name = `${NOTE_NAMES[(semitones + 12) % 12]}${octave}`;
+  const note = notes.find((candidate) => candidate.name === name);
+  return note ? note.freq : null;
+};
+
+// The notes of a 12-note table that belong to a scale; Scala tables have no pitch classes and are returned whole
+export const filterNotesToScale = (notes, scaleId, root) => {
+  const { steps } = findSnapScale(scaleId);
+  if (steps.length === 12 || notes[0].pitchClass === undefined) return notes;
+  return notes.filter((note) => steps.includes((note.pitchClass - root + 12) % 12));
+};
+
+// Find the nearest note (by pitch, not Hz) in a table sorted by frequency
+// Binary search for the first note at or above the frequency, then compare it with the note below
+export const getNearestNote = (notes, freq) => {
+  let low = 0;
+  let high = notes.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (notes[mid].freq < freq) low = mid + 1;
+    else high = mid;
+  }
+  const below = notes[Math.max(0, low - 1)];
+  const above = notes[low];
+  const nearestNote = Math.abs(Math.log2(freq / below.freq)) < Math.abs(Math.log2(freq / above.freq)) ? below : above;
+
+  // Calculate cents difference (100 cents = 1 semitone)
+  const cents = 1200 * Math.log2(freq / nearestNote.freq);
+  return { ...nearestNote, cents: Math.round(cents) };
+};
+
+// Snap frequency to the nearest note if it is within the tolerance, in cents
+// Cents keep the snap zone the same musical width at every pitch, where a fixed Hz zone would span semitones in the bass
+export const snapToNote = (notes, freq, toleranceCents) => {
+  const nearest = getNearestNote(notes, freq);
+  if (Math.abs(1200 * Math.log2(freq / nearest.freq)) <= toleranceCents) {
+    return Math.round(nearest.freq * 1000) / 1000; // Round to 3 decimal places
+  }
+  return Math.round(freq * 1000) / 1000; // Round to 3 decimal places
+};
+
+const isUsableScala = (scala) => {
+  if (!scala || typeof scala.sclText !== 'string') return false;
+  try {
+    buildScalaNoteTable({ referenceFreq: DEFAULT_TUNING.referenceFreq, scala });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Saved tunings are checked field by field so a bad value falls back to the default instead of breaking the table
+export const loadTuning = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    const { referenceFreq, temperament, key, scala, snapEnabled, snapTolerance, snapScale, snapRoot } = stored;
+    return {
+      referenceFreq: Number.isFinite(referenceFreq) && referenceFreq >= REFERENCE_LIMITS.min && referenceFreq <= REFERENCE_LIMITS.max
+        ? referenceFreq
+        : DEFAULT_TUNING.referenceFreq,
+      temperament: TEMPERAMENTS.some((t) => t.id === temperament) ? temperament : DEFAULT_TUNING.temperament,
+      key: Number.isInteger(key) && key >= 0 && key < 12 ? key : DEFAULT_TUNING.key,
+      scala: isUsableScala(scala) ? scala : null,
+      snapEnabled: typeof snapEnabled === 'boolean' ? snapEnabled : DEFAULT_TUNING.snapEnabled,
+      snapTolerance: Number.isFinite(snapTolerance) && snapTolerance >= SNAP_TOLERANCE_LIMITS.min && snapTolerance <= SNAP_TOLERANCE_LIMITS.max
+        ? snapTolerance
+        : DEFAULT_TUNING.snapTolerance,
+      snapScale: SNAP_SCALES.some((scale) => scale.id === snapScale) ? snapScale : DEFAULT_TUNING.snapScale,
+      snapRoot: Number.isInteger(snapRoot) && snapRoot >= 0 && snapRoot < 12 ? snapRoot : DEFAULT_TUNING.snapRoot,
+    };
+  } catch {
+    return DEFAULT_TUNING;
+  }
+};
+
+export const saveTuning = (tuning) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(tuning));
+  } catch {
+    // The tuning still applies for this session
+  }
+};
@@ -0,0 +1,78 @@
+// WAV (RIFF) encoder for rendered AudioBuffers
+// Supports 16-bit and 24-bit integer PCM and 32-bit float
+
+export const BIT_DEPTHS = [
+  { value: 16, label: '16-bit' },
+  { value: 24, label: '24-bit' },
+  { value: 32, label: '32-bit float' },
+];
+
+const writeString = (view, offset, str) => {
+  for (let i = 0; i < str.length; i++) {
+    view.setUint8(offset + i, str.charCodeAt(i));
+  }
+};
+
+// Size in bytes of an encoded file, for checking an export will fit before rendering it
+export const wavFileSize = (numFrames, numChannels, bitDepth) => 44 + numFrames * numChannels * (bitDepth / 8);
+
+export const encodeWav = (audioBuffer, bitDepth = 16) => {
+  const numChannels = audioBuffer.numberOfChannels;
+  const sampleRate = audioBuffer.sampleRate;
+  const numFrames = audioBuffer.length;
+  const isFloat = bitDepth === 32;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataSize = numFrames * blockAlign;
+
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  // RIFF header
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+
+  // fmt chunk (format 1 = integer PCM, 3 = IEEE float)
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, isFloat ? 3 : 1, true);
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+
+  // data chunk
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channels = [];
+  for (let ch = 0; ch < numChannels; ch++) {
+    channels.push(audioBuffer.getChannelData(ch));
+  }
+
+  // Interleave samples, clamping to [-1, 1] for the integer formats
+  let offset = 44;
+  for (let i = 0; i < numFrames; i++) {
+    for (let ch = 0; ch < numChannels; ch++) {
+      const sample = channels[ch][i];
+      if (isFloat) {
+        view.setFloat32(offset, sample, true);
+      } else {
+        const clamped = Math.max(-1, Math.min(1, sample));
+        if (bitDepth === 16) {
+          view.setInt16(offset, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+        } else {
+          const value = Math.round(clamped < 0 ? clamped * 0x800000 : clamped * 0x7fffff);
+          view.setUint8(offset, value & 0xff);
+          view.setUint8(offset + 1, (value >> 8) & 0xff);
+          view.setUint8(offset + 2, (value >> 16) & 0xff);
+        }
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Blob([buffer], { type: 'audio/wav' });
+};
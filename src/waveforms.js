@@ -0,0 +1,38 @@
+// Oscillator waveforms, shared by the live mixer and the offline renderer
+// "custom" builds an additive timbre from harmonic amplitudes (partials[0] is the fundamental)
+
+export const WAVEFORMS = [
+  { id: 'sine', label: 'Sine' },
+  { id: 'triangle', label: 'Triangle' },
+  { id: 'square', label: 'Square' },
+  { id: 'sawtooth', label: 'Saw' },
+  { id: 'custom', label: 'Custom' },
+];
+
+export const WAVEFORM_IDS = WAVEFORMS.map((waveform) => waveform.id);
+
+export const MAX_PARTIALS = 16;
+
+export const DEFAULT_PARTIALS = [1, 0.5, 0.33, 0.25, 0, 0, 0, 0];
+
+// Starting points for the partials editor
+export const PARTIAL_SHAPES = [
+  { id: 'fundamental', label: 'Fundamental', partials: [1, 0, 0, 0, 0, 0, 0, 0] },
+  { id: 'saw', label: 'Saw-like', partials: Array.from({ length: 8 }, (_, n) => Math.round(100 / (n + 1)) / 100) },
+  { id: 'square', label: 'Square-like', partials: Array.from({ length: 8 }, (_, n) => (n % 2 === 0 ? Math.round(100 / (n + 1)) / 100 : 0)) },
+  { id: 'organ', label: 'Organ', partials: [1, 0.8, 0, 0.6, 0, 0, 0, 0.4] },
+  { id: 'bell', label: 'Bright', partials: [0.6, 0.2, 0.8, 0.1, 0.5, 0, 0.3, 0] },
+];
+
+// Point an oscillator at a waveform, leaving it alone if it is already there
+export const applyWaveform = (osc, waveform, partials) => {
+  if (waveform === 'custom') {
+    const current = osc.type === 'custom' ? osc.partials : null;
+    if (!current || current.length !== partials.length || current.some((value, idx) => value !== partials[idx])) {
+      // Tone keeps a reference to the array, so give it its own copy
+      osc.partials = [...partials];
+    }
+  } else if (osc.type !== waveform) {
+    osc.type = waveform;
+  }
+};
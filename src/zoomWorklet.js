@@ -0,0 +1,79 @@
+// Audio-thread half of the zoom spectrum (see spectrum.js)
+// Shifts a band of the output down to 0 Hz and decimates it, so the page can run a long, fine-grained FFT on just
+// that band: the signal is mixed with a complex tone at the band's centre, low-passed by three cascaded moving
+// averages (a CIC filter, kept as running sums so nothing grows without bound) and one I/Q pair is kept every
+// `factor` samples
+//
+// Messages in:  { center (Hz), rate (Hz, the decimated sample rate wanted), generation }
+// Messages out: { generation, rate (the exact decimated rate), samples: Float32Array of interleaved I/Q pairs }
+
+const STAGES = 3;
+const POSTS_PER_SECOND = 20;
+
+class ZoomDownconverter extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.factor = 0;
+    this.port.onmessage = (event) => this.configure(event.data);
+  }
+
+  configure({ center, rate, generation }) {
+    this.factor = Math.max(1, Math.round(sampleRate / rate));
+    this.step = (2 * Math.PI * center) / sampleRate;
+    this.phase = 0;
+    this.generation = generation;
+    this.count = 0;
+    // Each stage keeps the last `factor` values it saw and their sum, for I and Q
+    this.stages = Array.from({ length: STAGES }, () => ({
+      history: new Float64Array(this.factor * 2),
+      sums: [0, 0],
+      pos: 0,
+    }));
+    this.pending = [];
+    this.postEvery = Math.max(1, Math.round(sampleRate / this.factor / POSTS_PER_SECOND));
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (this.factor === 0 || !input || input.length === 0) return true;
+
+    const length = input[0].length;
+    for (let i = 0; i < length; i++) {
+      let sample = 0;
+      for (let channel = 0; channel < input.length; channel++) sample += input[channel][i];
+      sample /= input.length;
+
+      let re = sample * Math.cos(this.phase);
+      let im = -sample * Math.sin(this.phase);
+      this.phase += this.step;
+      if (this.phase > 2 * Math.PI) this.phase -= 2 * Math.PI;
+
+      for (const stage of this.stages) {
+        const slot = stage.pos * 2;
+        stage.sums[0] += re - stage.history[slot];
+        stage.sums[1] += im - stage.history[slot + 1];
+        stage.history[slot] = re;
+        stage.history[slot + 1] = im;
+        stage.pos = (stage.pos + 1) % this.factor;
+        re = stage.sums[0] / this.factor;
+        im = stage.sums[1] / this.factor;
+      }
+
+      if (++this.count === this.factor) {
+        this.count = 0;
+        this.pending.push(re, im);
+        if (this.pending.length >= this.postEvery * 2) {
+          this.port.postMessage({
+            generation: this.generation,
+            rate: sampleRate / this.factor,
+            samples: Float32Array.from(this.pending),
+          });
+          this.pending = [];
+        }
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('zoom-downconverter', ZoomDownconverter);